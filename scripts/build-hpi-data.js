@@ -0,0 +1,101 @@
+// Converts the UK HPI "full file" CSV (https://www.gov.uk/government/statistical-data-sets/uk-house-price-index-data-downloads)
+// into src/data/hpi.json. Usage: node scripts/build-hpi-data.js path/to/UK-HPI-full-file.csv
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const OUTPUT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/data/hpi.json');
+const BASE_MONTH = "2015-01";
+const SOURCE = "UK House Price Index (HM Land Registry, ONS, Registers of Scotland, LPS Northern Ireland)";
+
+// CSV RegionName -> key used by the app
+const REGIONS = {
+  "North East": "North East",
+  "North West": "North West",
+  "Yorkshire and The Humber": "Yorkshire and The Humber",
+  "East Midlands": "East Midlands",
+  "West Midlands": "West Midlands",
+  "East of England": "East of England",
+  "London": "London",
+  "South East": "South East",
+  "South West": "South West",
+  "Wales": "Wales",
+  "Scotland": "Scotland",
+  "Northern Ireland": "Northern Ireland",
+  "United Kingdom": "UK Average"
+};
+
+const SERIES = {
+  all: "Index",
+  detached: "DetachedIndex",
+  semi: "SemiDetachedIndex",
+  terraced: "TerracedIndex",
+  flat: "FlatIndex"
+};
+
+const parseLine = (line) => line.split(',').map((cell) => cell.replace(/^"|"$/g, '').trim());
+
+// "01/01/1995" or "1995-01-01" -> "1995-01"
+const toMonthKey = (date) => {
+  const dmy = date.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  if (dmy) return `${dmy[3]}-${dmy[2]}`;
+  const iso = date.match(/^(\d{4})-(\d{2})/);
+  return iso ? `${iso[1]}-${iso[2]}` : null;
+};
+
+const main = () => {
+  const input = process.argv[2];
+  if (!input) {
+    console.error("Usage: node scripts/build-hpi-data.js <UK-HPI-full-file.csv>");
+    process.exit(1);
+  }
+
+  const [header, ...rows] = fs.readFileSync(input, 'utf8').split(/\r?\n/).filter(Boolean);
+  const columns = parseLine(header);
+  const col = (name) => columns.indexOf(name);
+
+  const regions = {};
+  for (const row of rows) {
+    const cells = parseLine(row);
+    const regionKey = REGIONS[cells[col("RegionName")]];
+    const month = toMonthKey(cells[col("Date")]);
+    if (!regionKey || !month) continue;
+
+    regions[regionKey] = regions[regionKey] || {};
+    for (const [type, column] of Object.entries(SERIES)) {
+      const value = parseFloat(cells[col(column)]);
+      if (!Number.isFinite(value)) continue;
+      regions[regionKey][type] = regions[regionKey][type] || {};
+      regions[regionKey][type][month] = value;
+    }
+  }
+
+  // Rebase every series so BASE_MONTH = 100, matching the rest of the app
+  for (const series of Object.values(regions)) {
+    for (const [type, points] of Object.entries(series)) {
+      const base = points[BASE_MONTH];
+      if (!base) continue;
+      const months = Object.keys(points).sort();
+      series[type] = Object.fromEntries(months.map((m) => [m, Math.round((points[m] / base) * 1000) / 10]));
+    }
+  }
+
+  // The full file is monthly; anything sparser is probably the wrong download (e.g. the annual averages file)
+  const monthly = regions[REGIONS["United Kingdom"]]?.all || {};
+  if (Object.keys(monthly).length < 12 * 20) {
+    console.error(`Expected monthly data but found ${Object.keys(monthly).length} UK months; is this the UK HPI full file?`);
+    process.exit(1);
+  }
+
+  // One line per series keeps the file diffable without running to 20k lines
+  const body = Object.entries(regions).map(([region, series]) => (
+    `    ${JSON.stringify(region)}: {\n` +
+    Object.entries(series).map(([type, points]) => `      "${type}": ${JSON.stringify(points).replace(/,/g, ', ').replace(/:/g, ': ')}`).join(',\n') +
+    '\n    }'
+  )).join(',\n');
+  const output = `{\n  "source": ${JSON.stringify(SOURCE)},\n  "base": "${BASE_MONTH}",\n  "regions": {\n${body}\n  }\n}\n`;
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${Object.keys(regions).length} regions to ${path.relative(process.cwd(), OUTPUT)}`);
+};
+
+main();
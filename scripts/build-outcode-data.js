@@ -0,0 +1,105 @@
+// Builds src/data/outcodes.json, one entry per live postcode district, from the ONS National
+// Statistics Postcode Lookup (https://geoportal.statistics.gov.uk/, search "NSPL").
+// Usage: node scripts/build-outcode-data.js path/to/NSPL_<date>_UK.csv "path/to/LA_UA names and codes UK.csv"
+// Both files are in the NSPL download: the main CSV under Data/ and the names under Documents/.
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+const OUTPUT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src/data/outcodes.json');
+const SOURCE = "ONS National Statistics Postcode Lookup";
+const MIN_DISTRICTS = 2500; // The UK has roughly 2,900 outcodes in use
+
+// GSS region (England) or country code -> HPI region key, in the order the home page lists them.
+// Crown Dependencies (L93, M83) have no code here and are left out.
+const REGIONS = {
+  E12000007: "London",
+  E12000008: "South East",
+  E12000009: "South West",
+  E12000006: "East of England",
+  E12000005: "West Midlands",
+  E12000004: "East Midlands",
+  E12000003: "Yorkshire and The Humber",
+  E12000002: "North West",
+  E12000001: "North East",
+  W92000004: "Wales",
+  S92000003: "Scotland",
+  N92000002: "Northern Ireland"
+};
+const REGION_ORDER = Object.values(REGIONS);
+
+// Quoted cells may contain commas, e.g. "Bristol, City of"
+const parseLine = (line) => [...line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g)].map((m) => m[1].replace(/^"|"$/g, '').replace(/""/g, '"').trim());
+
+// "Bristol, City of" -> "Bristol"
+const displayName = (name) => name.replace(/, (City|County) of$/, '');
+
+const readLines = (file) => readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+// LAD code -> name; the columns are named for the year, e.g. LAD23CD / LAD23NM
+const readAuthorityNames = async (file) => {
+  const names = {};
+  let code = -1;
+  let name = -1;
+  for await (const line of readLines(file)) {
+    const cells = parseLine(line);
+    if (code < 0) {
+      code = cells.findIndex((c) => /^LAD\d*CD$/i.test(c));
+      name = cells.findIndex((c) => /^LAD\d*NM$/i.test(c));
+      if (code < 0 || name < 0) throw new Error(`No LADxxCD/LADxxNM columns in ${file}`);
+      continue;
+    }
+    if (cells[code]) names[cells[code]] = displayName(cells[name]);
+  }
+  return names;
+};
+
+const main = async () => {
+  const [nspl, authorities] = process.argv.slice(2);
+  if (!nspl || !authorities) {
+    console.error('Usage: node scripts/build-outcode-data.js <NSPL.csv> "<LA_UA names and codes.csv>"');
+    process.exit(1);
+  }
+
+  const authorityNames = await readAuthorityNames(authorities);
+
+  // outcode -> { region, counts: { lad: live postcodes } }
+  const districts = {};
+  let col = null;
+  for await (const line of readLines(nspl)) {
+    const cells = parseLine(line);
+    if (!col) {
+      col = Object.fromEntries(['pcds', 'doterm', 'laua', 'rgn', 'ctry'].map((name) => [name, cells.indexOf(name)]));
+      continue;
+    }
+    if (cells[col.doterm]) continue; // Terminated postcode
+    const region = REGIONS[cells[col.rgn]] || REGIONS[cells[col.ctry]];
+    const outcode = (cells[col.pcds] || '').split(' ')[0];
+    if (!region || !outcode) continue;
+
+    const district = districts[outcode] = districts[outcode] || { region, counts: {} };
+    district.counts[cells[col.laua]] = (district.counts[cells[col.laua]] || 0) + 1;
+  }
+
+  const outcodes = Object.keys(districts);
+  if (outcodes.length < MIN_DISTRICTS) {
+    console.error(`Expected the full UK but found ${outcodes.length} postcode districts; is this the whole NSPL?`);
+    process.exit(1);
+  }
+
+  // Named after the local authority holding most of the district's postcodes
+  const entries = outcodes
+    .sort((a, b) => REGION_ORDER.indexOf(districts[a].region) - REGION_ORDER.indexOf(districts[b].region) || a.localeCompare(b, 'en', { numeric: true }))
+    .map((outcode) => {
+      const { region, counts } = districts[outcode];
+      const [lad] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+      return `    ${JSON.stringify(outcode)}: { "name": ${JSON.stringify(authorityNames[lad] || outcode)}, "region": ${JSON.stringify(region)} }`;
+    });
+
+  const output = `{\n  "source": ${JSON.stringify(SOURCE)},\n  "districts": {\n${entries.join(',\n')}\n  }\n}\n`;
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${entries.length} postcode districts to ${path.relative(process.cwd(), OUTPUT)}`);
+};
+
+main();
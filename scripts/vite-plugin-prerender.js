@@ -0,0 +1,83 @@
+// Build step: renders every prerenderable route to static HTML with its own
+// title, description, canonical URL and JSON-LD, then writes sitemap.xml and
+// llms.txt from the same route list.
+import fs from 'node:fs';
+import path from 'node:path';
+import { createServer } from 'vite';
+
+const escapeAttr = (s) => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+const escapeText = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+const setMeta = (html, attr, key, value) => html.replace(
+  new RegExp(`(<meta ${attr}="${key}" content=")[^"]*(")`),
+  `$1${escapeAttr(value)}$2`
+);
+
+// `route` marks which path the markup was rendered for; the client only hydrates when it's
+// the path being viewed (404.html is served for many paths, so it leaves this out)
+const applyPage = (template, { html, meta, structuredData }, url, route = null) => {
+  const rootAttrs = route ? ` data-prerendered-path="${escapeAttr(route)}"` : '';
+  let page = template
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeText(meta.title)}</title>`)
+    .replace('<div id="root"></div>', `<div id="root"${rootAttrs}>${html}</div>`);
+  page = setMeta(page, 'name', 'description', meta.description);
+  page = setMeta(page, 'property', 'og:url', url);
+  page = setMeta(page, 'property', 'og:title', meta.title);
+  page = setMeta(page, 'property', 'og:description', meta.description);
+  page = setMeta(page, 'name', 'twitter:title', meta.title);
+  page = setMeta(page, 'name', 'twitter:description', meta.description);
+
+  // "</" inside JSON would close the script tag early
+  const jsonLd = structuredData
+    .map((data) => `    <script type="application/ld+json">${JSON.stringify(data).replace(/<\//g, '<\\/')}</script>`)
+    .join('\n');
+  return page.replace('</head>', `  <link rel="canonical" href="${escapeAttr(url)}" />\n${jsonLd}\n  </head>`);
+};
+
+const SPA_SHELL = 'app.html';
+
+export default function prerender() {
+  let config;
+
+  return {
+    name: 'gmhv-prerender',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      if (config.build.ssr) return;
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const template = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+
+      // A throwaway dev server gives us Vite's module graph (JSX, JSON imports) in Node
+      const server = await createServer({
+        root: config.root,
+        logLevel: 'error',
+        server: { middlewareMode: true, hmr: false },
+        appType: 'custom'
+      });
+
+      try {
+        const { SITE_URL, render, getPrerenderPaths, buildSitemap, buildLlmsTxt } = await server.ssrLoadModule('/src/entry-server.jsx');
+        const paths = getPrerenderPaths();
+
+        for (const route of paths) {
+          const file = route === '/' ? 'index.html' : path.join(route.slice(1), 'index.html');
+          fs.mkdirSync(path.dirname(path.join(outDir, file)), { recursive: true });
+          fs.writeFileSync(path.join(outDir, file), applyPage(template, render(route), SITE_URL + route, route));
+        }
+        fs.writeFileSync(path.join(outDir, '404.html'), applyPage(template, render('/404'), SITE_URL + '/404'));
+        // Client-only routes (valuations, the agent portal, saved valuations) are rewritten to this
+        // empty shell by public/_redirects, so they never receive another page's markup
+        fs.writeFileSync(path.join(outDir, SPA_SHELL), template);
+
+        fs.writeFileSync(path.join(outDir, 'sitemap.xml'), buildSitemap(paths, new Date().toISOString().slice(0, 10)));
+        fs.writeFileSync(path.join(outDir, 'llms.txt'), buildLlmsTxt(paths));
+        config.logger.info(`Prerendered ${paths.length} pages, sitemap.xml and llms.txt`);
+      } finally {
+        await server.close();
+      }
+    }
+  };
+}
@@ -1,91 +1,27 @@
-import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { Home, Search, TrendingUp, Info, AlertTriangle, CheckCircle, MapPin, ArrowRight, Building2, Scale, FileText, Database, ShieldCheck, ExternalLink, HelpCircle, ChevronRight } from 'lucide-react';
-
-// --- CONFIGURATION ---
-const BACKEND_URL = "https://getmyhousevalue-backend.onrender.com"; 
-
-// --- INTERNAL DATA ---
-const HPI_DATA = {
-  "London": { 2000: 38.2, 2010: 85.2, 2015: 100.0, 2020: 120.5, 2024: 130.5 },
-  "South East": { 2000: 42.1, 2010: 84.1, 2015: 100.0, 2020: 121.5, 2024: 138.2 },
-  "UK Average": { 2000: 43.5, 2010: 84.5, 2015: 100.0, 2020: 122.5, 2024: 143.2 }
-};
-
-// Estimated Price Per Square Meter (2024 Baselines)
-const SQ_METER_PRICES = {
-  "London": 7500,
-  "South East": 4500,
-  "UK Average": 3000
-};
-
-const MOCK_PROPERTIES = [
-  { id: '1', address: '10 Downing Street', city: 'London', postcode: 'SW1A 1AA', type: 'Terraced', sqMeters: 240, epc: 'C', lastSoldDate: '2005-06-15', lastSoldPrice: 4500000 },
-];
-
-// --- API FUNCTIONS ---
-const getPostcodeDetails = async (inputPostcode) => {
-  try {
-    const res = await fetch(`https://api.postcodes.io/postcodes/${inputPostcode}`);
-    const data = await res.json();
-    if (data.status === 200) {
-      const region = data.result.region || data.result.admin_district;
-      let regionKey = "UK Average";
-      if (region && region.includes("London")) regionKey = "London";
-      if (region && region.includes("South East")) regionKey = "South East";
-      return { regionKey, formattedPostcode: data.result.postcode };
-    }
-  } catch (e) { console.warn("Postcode lookup failed"); }
-  return { regionKey: "UK Average", formattedPostcode: inputPostcode };
-};
-
-const fetchProperties = async (postcode) => {
-  try {
-    const response = await fetch(`${BACKEND_URL}/api/properties?postcode=${encodeURIComponent(postcode)}`);
-    if (!response.ok) throw new Error("Backend not reachable");
-    return await response.json();
-  } catch (e) { return MOCK_PROPERTIES; }
-};
-
-const calculateValuation = (property, regionKey) => {
-  // STRATEGY 1: HPI GROWTH (If we have sold price)
-  if (property.lastSoldPrice > 0) {
-      const soldYear = property.lastSoldDate ? new Date(property.lastSoldDate).getFullYear() : 2015; 
-      const currentYear = 2024;
-      const indexData = HPI_DATA[regionKey] || HPI_DATA["UK Average"];
-      
-      const indexOld = indexData[soldYear] || 100;
-      const indexNew = indexData[currentYear] || 143.2;
-      
-      const growthFactor = indexNew / indexOld;
-      const estimatedValue = Math.round(property.lastSoldPrice * growthFactor);
-
-      return { 
-        estimatedValue, 
-        lowerBound: Math.round(estimatedValue * 0.95), 
-        upperBound: Math.round(estimatedValue * 1.05), 
-        growthFactor,
-        method: 'hpi'
-      };
-  }
-
-  // STRATEGY 2: SIZE BASED (If we only have EPC size)
-  if (property.sqMeters > 0) {
-      const pricePerSqm = SQ_METER_PRICES[regionKey] || SQ_METER_PRICES["UK Average"];
-      const estimatedValue = Math.round(property.sqMeters * pricePerSqm);
-      
-      return {
-        estimatedValue,
-        lowerBound: Math.round(estimatedValue * 0.85), // Wider range for rough estimates (+/- 15%)
-        upperBound: Math.round(estimatedValue * 1.15),
-        growthFactor: 0,
-        method: 'sqm'
-      };
-  }
-  
-  // STRATEGY 3: FAILURE
-  return { estimatedValue: 0, lowerBound: 0, upperBound: 0, growthFactor: 0, method: 'none' };
-};
+import React, { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceArea, ReferenceDot } from 'recharts';
+import { Home, Search, TrendingUp, Info, AlertTriangle, CheckCircle, MapPin, ArrowRight, Building2, Scale, FileText, Database, ShieldCheck, ExternalLink, HelpCircle, ChevronLeft, ChevronRight, SlidersHorizontal, Download, WifiOff, Clock, SearchX, RotateCw, Upload, LogOut, Users, ArrowUpDown, Bookmark, BookmarkCheck, Trash2, Leaf, Calculator, X } from 'lucide-react';
+import { PAGE_SIZE, PROPERTY_SORTS, arrangeProperties, getPage, pageCount, pageOf } from './lib/addresses';
+import { CONDITION_OPTIONS, GARDEN_OPTIONS, MAX_BEDROOMS, PROPERTY_TYPE_OPTIONS, applyCorrections, defaultAdjustments } from './lib/adjustments';
+import { getAuthProvider, signIn, signOut, useAuth } from './lib/auth';
+import { CONSENT_CATEGORIES, allChoices, saveConsent, useConsent } from './lib/consent';
+import { DEFAULT_CONCURRENCY, TEMPLATE_CSV, readBulkCsv, runBulkValuations, toEnrichedCsv } from './lib/bulk';
+import { InvalidPostcodeError, autocompletePostcodes, fetchProperties, getPostcodeDetails, isDemoMode, isValidPostcode, normalisePostcode } from './lib/api';
+import { FAQS } from './data/faqs';
+import { DATA_SOURCES, OGL_NOTICE, describeCoverage } from './data/sources';
+import { DISTRICTS_PUBLISHED, getDistrict, getDistrictsByRegion } from './lib/districts';
+import { EPC_BANDS, getRetrofitScenarios, normaliseBand } from './lib/epc';
+import { BUYER_TYPES, LTV_TIERS, MORTGAGE_RATES_AS_OF, PURCHASE_TAXES, TAX_RULES_AS_OF, calculatePurchaseTax, estimateRent, getEquity, taxNationForRegion } from './lib/finance';
+import { DEFAULT_REGION, HPI_APPROXIMATE, HPI_SOURCE, getRegionStats, indexName, monthKeyToDate } from './lib/hpi';
+import { buildExportData, downloadBlob, exportFilename, toCsv, toJson } from './lib/export';
+import { formatChange, formatPounds, formatPrice } from './lib/format';
+import { toNumber } from './lib/helpers';
+import { buildValueHistory } from './lib/history';
+import { REPORTS, REPORT_REGIONS, buildChartData, getLatestReports, getReport, getReportBlocks } from './lib/reports';
+import { Link, buildPath, getRouteMeta, navigate, toPostcodeSlug, useRoute } from './lib/router';
+import { MAX_COMPARE, MIN_COMPARE, removeSavedValuation, revalue, saveValuation, savedValuationId, useSavedValuations } from './lib/saved';
+import { NATIONS, findUnsupportedPlace, soldPriceGap } from './lib/nations';
+import { calculateValuation } from './lib/valuation';
 
 // --- PAGES ---
 
@@ -106,146 +42,1226 @@ const InfoPage = ({ title, icon: Icon, children, onBack }) => (
   </div>
 );
 
-const BlogPost = ({ onBack }) => {
-    const chartData = [
-        { year: '2015', London: 100, SouthEast: 100 },
-        { year: '2020', London: 120.5, SouthEast: 121.5 },
-        { year: '2024', London: 130.5, SouthEast: 138.2 },
-    ];
+const CHART_COLOURS = ['#059669', '#9ca3af', '#6366f1', '#f59e0b'];
+
+const ReportChart = ({ config }) => (
+  <div className="my-8 p-6 bg-gray-50 rounded-xl border border-gray-100">
+    {config.title && <h3 className="font-bold text-gray-900 mb-4 text-center">{config.title}</h3>}
+    <div className="h-64 w-full">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={buildChartData(config)}>
+          <CartesianGrid strokeDasharray="3 3" vertical={false} />
+          <XAxis dataKey="label" />
+          <YAxis domain={['auto', 'auto']} />
+          <Tooltip />
+          <Legend />
+          {config.series.map((region, i) => (
+            <Line key={region} type="monotone" dataKey={region} name={region} stroke={CHART_COLOURS[i % CHART_COLOURS.length]} strokeWidth={i === 0 ? 3 : 2} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+    <p className="text-xs text-center text-gray-500 mt-2">Source: {HPI_SOURCE}.</p>
+  </div>
+);
+
+const formatReportDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const ReportPage = ({ report, onBack }) => (
+  <InfoPage title={report.title} icon={TrendingUp} onBack={onBack}>
+    <p className="text-sm text-gray-400 mb-6">{formatReportDate(report.date)} • {report.region}</p>
+    <div className="report-body">
+      {getReportBlocks(report).map((block, i) => (block.type === 'chart'
+        ? <ReportChart key={i} config={block.config} />
+        : <div key={i} dangerouslySetInnerHTML={{ __html: block.html }} />
+      ))}
+    </div>
+    <Link to={buildPath('reports')} className="inline-block mt-8 text-emerald-600 font-medium hover:underline">More market reports</Link>
+  </InfoPage>
+);
+
+const ReportCard = ({ report, label }) => (
+  <Link to={buildPath('report', { slug: report.slug })} className="block bg-emerald-50 p-6 rounded-xl border border-emerald-100 cursor-pointer hover:shadow-md transition-shadow">
+    <div className="text-xs font-bold text-emerald-600 uppercase tracking-wider mb-2">{label || `${report.region} • ${formatReportDate(report.date)}`}</div>
+    <h3 className="font-bold text-gray-900 text-lg mb-2">{report.title}</h3>
+    <p className="text-sm mb-4 text-gray-600">{report.summary}</p>
+    <span className="text-sm font-bold text-emerald-700 flex items-center gap-1">Read Analysis <ArrowRight size={14} /></span>
+  </Link>
+);
+
+const ReportsIndex = ({ onBack }) => {
+  const [regionFilter, setRegionFilter] = useState('');
+  const reports = REPORTS.filter((r) => !regionFilter || r.region === regionFilter);
+
+  return (
+    <InfoPage title="Market Reports" icon={TrendingUp} onBack={onBack}>
+      <p className="mb-6">Regional analysis built on {HPI_APPROXIMATE ? 'approximate regional price indices' : 'the official UK House Price Index'} and HM Land Registry sold prices.</p>
+      <div className="flex flex-wrap gap-2 mb-6">
+        {['', ...REPORT_REGIONS].map((r) => (
+          <button key={r || 'all'} onClick={() => setRegionFilter(r)} className={`px-3 py-1 rounded-full text-sm transition-colors ${regionFilter === r ? 'bg-emerald-600 text-white' : 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100'}`}>{r || 'All regions'}</button>
+        ))}
+      </div>
+      <div className="grid gap-4">
+        {reports.map((report) => <ReportCard key={report.slug} report={report} />)}
+        {reports.length === 0 && <p className="text-gray-400">No reports for this region yet.</p>}
+      </div>
+    </InfoPage>
+  );
+};
+
+const ValueChart = ({ property, region, valuation }) => {
+  const [compare, setCompare] = useState(false);
+  const data = buildValueHistory({ property, regionKey: region, estimatedValue: valuation.estimatedValue });
+  if (data.length < 2) return null;
+
+  const year = (t) => new Date(t).getFullYear();
+  const saleDate = property.lastSoldDate ? new Date(property.lastSoldDate).getTime() : null;
+  const showSale = saleDate && property.lastSoldPrice > 0;
+  const values = data.flatMap((d) => (compare ? [d.value, d.region, d.uk] : [d.value]));
+  const yMin = Math.min(...values, showSale ? property.lastSoldPrice : Infinity, valuation.lowerBound);
+  const yMax = Math.max(...values, valuation.upperBound);
+
+  return (
+    <div className="p-6 md:p-8 border-t border-gray-100">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <div>
+          <h3 className="font-bold text-gray-900">Value Over Time</h3>
+          <p className="text-sm text-gray-500">Estimated value {showSale ? `since the last sale in ${year(saleDate)}` : 'over the last 10 years'}, following {indexName(region)}.</p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+          <input type="checkbox" className="accent-emerald-600" checked={compare} onChange={(e) => setCompare(e.target.checked)} />
+          Compare with {region === DEFAULT_REGION ? 'UK average' : `${region} & UK average`}
+        </label>
+      </div>
+      <div className="h-72 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="date" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={year} />
+            <YAxis domain={[Math.floor(yMin * 0.9), Math.ceil(yMax * 1.05)]} tickFormatter={formatPrice} width={80} />
+            <Tooltip labelFormatter={(t) => new Date(t).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })} formatter={formatPrice} />
+            <Legend />
+            <ReferenceArea y1={valuation.lowerBound} y2={valuation.upperBound} fill="#059669" fillOpacity={0.08} label={{ value: 'Current estimate range', position: 'insideTopLeft', fontSize: 11, fill: '#047857' }} />
+            <Line type="monotone" dataKey="value" name="This property" stroke="#059669" strokeWidth={3} dot={false} />
+            {compare && region !== DEFAULT_REGION && <Line type="monotone" dataKey="region" name={`${region} average`} stroke="#6366f1" strokeWidth={2} dot={false} strokeDasharray="5 3" />}
+            {compare && <Line type="monotone" dataKey="uk" name="UK average" stroke="#9ca3af" strokeWidth={2} dot={false} strokeDasharray="5 3" />}
+            {showSale && <ReferenceDot x={saleDate} y={property.lastSoldPrice} r={6} fill="#fff" stroke="#059669" strokeWidth={3} label={{ value: `Sold ${formatPrice(property.lastSoldPrice)}`, position: 'top', fontSize: 12, fill: '#374151' }} />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">Source: {HPI_SOURCE}. Comparison lines start at the same value and follow all-property indices.</p>
+    </div>
+  );
+};
+
+// " Includes +£9,000 (+2.0%) for EPC band C against the typical D in South East."
+const epcNote = (epcAdjustment, region) => (epcAdjustment && epcAdjustment.amount
+  ? ` Includes ${epcAdjustment.amount > 0 ? '+' : '-'}${formatPrice(Math.abs(epcAdjustment.amount))} (${formatChange(epcAdjustment.rate)}) for EPC band ${epcAdjustment.band} against the typical ${epcAdjustment.typicalBand} in ${region}.`
+  : '');
 
+// `property` is the home as adjusted, so a band the homeowner corrects or adds is used here
+const RetrofitPanel = ({ property, valuation }) => {
+  const [open, setOpen] = useState(false);
+  const band = normaliseBand(property.epc); // Records can hold "N/A" or "Unknown" rather than a band
+  if (!band) {
     return (
-        <InfoPage title="Market Report: South East 2025" icon={TrendingUp} onBack={onBack}>
-            <p className="text-xl text-gray-700 font-medium mb-6">Why prices in the South East rose 20% in 7 Years (and why London lagged behind).</p>
-            
-            <p className="mb-4">
-                If you bought a property in the South East around 2017, you might be sitting on more equity than you realize. 
-                Our proprietary analysis of HM Land Registry data shows a distinct divergence between London and the surrounding commuter belt.
-            </p>
-
-            <div className="my-8 p-6 bg-gray-50 rounded-xl border border-gray-100">
-                <h3 className="font-bold text-gray-900 mb-4 text-center">Regional Growth Comparison (Index Rebased to 2015)</h3>
-                <div className="h-64 w-full">
-                    <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={chartData}>
-                            <CartesianGrid strokeDasharray="3 3" vertical={false} />
-                            <XAxis dataKey="year" />
-                            <YAxis domain={[90, 150]} />
-                            <Tooltip />
-                            <Legend />
-                            <Line type="monotone" dataKey="SouthEast" name="South East" stroke="#059669" strokeWidth={3} />
-                            <Line type="monotone" dataKey="London" name="London" stroke="#9ca3af" strokeWidth={2} />
-                        </LineChart>
-                    </ResponsiveContainer>
+      <div className="p-6 md:p-8 border-t border-gray-100">
+        <h3 className="font-bold text-gray-900 flex items-center gap-2"><Leaf size={18} className="text-emerald-600" /> Energy Efficiency Upgrades</h3>
+        <p className="text-sm text-gray-500">We don't have a valid EPC rating for this home. Set its band under Adjust Property Details to see what upgrades could add.</p>
+      </div>
+    );
+  }
+  const scenarios = getRetrofitScenarios(property, valuation.estimatedValue);
+
+  return (
+    <div className="p-6 md:p-8 border-t border-gray-100">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between text-left group">
+        <div>
+          <h3 className="font-bold text-gray-900 flex items-center gap-2 group-hover:text-emerald-700"><Leaf size={18} className="text-emerald-600" /> Energy Efficiency Upgrades</h3>
+          <p className="text-sm text-gray-500">{scenarios.length > 0 ? `What moving up from EPC band ${scenarios[0].from} could add to your home's value, and what it might cost.` : `EPC band ${band} is already the top rating.`}</p>
+        </div>
+        <ChevronRight size={20} className={`text-gray-400 shrink-0 transition-transform ${open ? 'rotate-90' : ''}`} />
+      </button>
+
+      {open && scenarios.length > 0 && (
+        <div className="mt-6">
+          <div className="grid md:grid-cols-3 gap-4 mb-6">
+            {scenarios.map((s) => (
+              <div key={s.to} className="p-4 rounded-xl border border-gray-100 bg-gray-50 text-sm">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="font-bold text-gray-900">{s.from} → {s.to}</span>
+                  <span className="text-emerald-700 font-bold">+{formatPrice(s.uplift)}</span>
+                </div>
+                <ul className="space-y-1 text-gray-600 mb-3">
+                  {s.measures.map((m) => <li key={m.key} className="flex justify-between gap-2"><span>{m.label}</span><span className="text-gray-400 whitespace-nowrap">{formatPounds(m.cost[0])}-{formatPounds(m.cost[1])}</span></li>)}
+                </ul>
+                <div className="border-t border-gray-200 pt-2 space-y-1">
+                  <div className="flex justify-between"><span className="text-gray-500">Likely cost</span><span>{formatPounds(s.costLow)}-{formatPounds(s.costHigh)}</span></div>
+                  <div className="flex justify-between font-bold"><span className="text-gray-700">Net uplift</span><span className={s.netUplift >= 0 ? 'text-emerald-700' : 'text-red-600'}>{s.netUplift >= 0 ? '+' : '-'}{formatPrice(Math.abs(s.netUplift))}</span></div>
+                </div>
+                {!s.reachable && <p className="text-xs text-amber-700 mt-2">These measures may not be enough on their own; band {s.to} usually needs a survey-led plan.</p>}
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500 space-y-1">
+            <p><strong>How we estimate this:</strong> homes in better EPC bands sell for a few percent more than the same home in a worse band. The value gain applies that difference to today's estimate.</p>
+            <p>We assume your home sits in the middle of band {scenarios[0].from}, and pick the cheapest measures per SAP point until it reaches each band, assuming cavity walls and a gas boiler. Costs are typical installed prices before any grants except where stated. Net uplift is the value gain minus the middle of the cost range.</p>
+            <p>Your actual rating, costs and gains depend on the building. A retrofit assessment or new EPC will give a property-specific plan; lower energy bills are a benefit on top of these figures.</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FINANCE_TABS = [
+  { key: 'equity', label: 'Equity & Remortgage' },
+  { key: 'tax', label: 'Stamp Duty' },
+  { key: 'rent', label: 'Rental Yield' }
+];
+
+// Form fields in the finance and adjustment panels
+const inputClass = "w-full px-3 py-2 rounded-lg border border-gray-200 focus:border-emerald-600 focus:ring-2 focus:ring-emerald-50 outline-none text-sm";
+const labelClass = "block text-xs font-bold text-gray-500 uppercase tracking-wider mb-1";
+
+// Blank inputs fall back to the estimate, so the panel follows the valuation as details are adjusted
+const FinancePanel = ({ property, region, valuation }) => {
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState('equity');
+  const [mortgage, setMortgage] = useState('');
+  const [price, setPrice] = useState('');
+  const [nation, setNation] = useState(taxNationForRegion(region));
+  const [buyerType, setBuyerType] = useState('standard');
+  const [rent, setRent] = useState('');
+  const { estimatedValue, lowerBound, upperBound } = valuation;
+  const percent = (n, digits = 1) => `${(n * 100).toFixed(digits)}%`;
+
+  useEffect(() => { setNation(taxNationForRegion(region)); }, [region]);
+
+  const balance = toNumber(mortgage);
+  const equityRange = [['Low', lowerBound], ['Estimate', estimatedValue], ['High', upperBound]].map(([label, value]) => ({ label, value, ...getEquity(value, balance) }));
+  const current = getEquity(estimatedValue, balance);
+  const purchasePrice = toNumber(price) || estimatedValue;
+  const tax = calculatePurchaseTax(purchasePrice, nation, buyerType);
+  const rental = estimateRent(estimatedValue, region, property.type, toNumber(rent) || null);
+
+  return (
+    <div className="p-6 md:p-8 border-t border-gray-100">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between text-left group">
+        <div>
+          <h3 className="font-bold text-gray-900 flex items-center gap-2 group-hover:text-emerald-700"><Calculator size={18} className="text-emerald-600" /> What This Means For You</h3>
+          <p className="text-sm text-gray-500">Your equity and remortgage options, stamp duty if you're buying, and what the home could let for.</p>
+        </div>
+        <ChevronRight size={20} className={`text-gray-400 shrink-0 transition-transform ${open ? 'rotate-90' : ''}`} />
+      </button>
+
+      {open && (
+        <div className="mt-6">
+          <div className="flex gap-1 p-1 bg-gray-100 rounded-full w-fit mb-6" role="tablist">
+            {FINANCE_TABS.map((t) => (
+              <button key={t.key} role="tab" aria-selected={tab === t.key} onClick={() => setTab(t.key)} className={`px-4 py-1.5 rounded-full text-sm font-medium transition-colors ${tab === t.key ? 'bg-white text-emerald-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}>{t.label}</button>
+            ))}
+          </div>
+
+          {tab === 'equity' && (
+            <div className="grid md:grid-cols-2 gap-8">
+              <div>
+                <label><span className={labelClass}>Outstanding mortgage (£)</span><input type="number" min="0" step="1000" className={inputClass} value={mortgage} onChange={(e) => setMortgage(e.target.value)} placeholder="0" /></label>
+                <div className="grid grid-cols-3 gap-2 mt-4">
+                  {equityRange.map((e) => (
+                    <div key={e.label} className={`p-3 rounded-xl border text-center ${e.label === 'Estimate' ? 'bg-emerald-50 border-emerald-100' : 'bg-gray-50 border-gray-100'}`}>
+                      <div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">{e.label}</div>
+                      <div className={`font-bold ${e.equity < 0 ? 'text-red-600' : e.label === 'Estimate' ? 'text-emerald-700' : 'text-gray-700'}`}>{e.equity < 0 ? '-' : ''}{formatPrice(Math.abs(e.equity))}</div>
+                      <div className="text-xs text-gray-500 mt-1">LTV {percent(e.ltv, 0)}</div>
+                    </div>
+                  ))}
                 </div>
-                <p className="text-xs text-center text-gray-500 mt-2">Source: ONS House Price Index & GetMyHouseValue Data</p>
+                <p className="text-xs text-gray-400 mt-3">Equity is the estimate minus your mortgage; loan-to-value (LTV) is the mortgage as a share of the estimate. Low and High use the ends of the valuation range.</p>
+              </div>
+              <div>
+                <h4 className="text-xs font-bold text-gray-500 uppercase tracking-wider mb-2">Typical 5-year fixed rates by LTV</h4>
+                <ul className="divide-y divide-gray-100 text-sm border border-gray-100 rounded-xl overflow-hidden">
+                  {LTV_TIERS.map((t) => {
+                    const unlocked = current.unlocked.includes(t);
+                    return (
+                      <li key={t.maxLtv} className={`flex justify-between px-4 py-2 ${t === current.tier ? 'bg-emerald-50 font-semibold text-emerald-800' : unlocked ? 'text-gray-700' : 'text-gray-300'}`}>
+                        <span>Up to {percent(t.maxLtv, 0)} LTV{t === current.tier && ' · your band'}</span><span>from {t.rate.toFixed(2)}%</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+                <p className="text-sm text-gray-600 mt-3">
+                  {!current.tier ? `At ${percent(current.ltv, 0)} LTV most lenders won't remortgage; paying down ${formatPrice(current.next.repay)} would reach ${percent(current.next.tier.maxLtv, 0)}.`
+                    : current.next ? `Paying down ${formatPrice(current.next.repay)} would move you into the ${percent(current.next.tier.maxLtv, 0)} band, from ${current.next.tier.rate.toFixed(2)}%.`
+                    : 'You qualify for the lowest LTV band.'}
+                </p>
+                <p className="text-xs text-gray-400 mt-3">Indicative rates as of {MORTGAGE_RATES_AS_OF}, not offers. Lenders also look at income, credit history and their own valuation; check with a mortgage broker.</p>
+              </div>
             </div>
+          )}
 
-            <h3 className="text-lg font-bold text-gray-900 mb-2">The "Space Race" Effect</h3>
-            <p className="mb-4">
-                Post-2020, the data shows a sharp acceleration in the South East index (Green line) compared to London (Grey line). 
-                This correlates with the "race for space"—buyers trading central locations for square footage.
-            </p>
-            
-            <h3 className="text-lg font-bold text-gray-900 mb-2">What this means for your valuation</h3>
-            <p className="mb-4">
-                If you are using our tool to value a property in Surrey, Kent, or Sussex, you will likely see a "Market Growth" figure 
-                that outperforms the capital. This isn't a glitch; it's the data reflecting a structural shift in demand.
-            </p>
-
-            <div className="mt-8 p-4 bg-emerald-50 border border-emerald-100 rounded-lg text-emerald-800 text-sm font-medium">
-                <strong>Key Takeaway:</strong> Don't rely on national averages. Always use a regional index-adjusted tool to get a true picture of your home's worth.
+          {tab === 'tax' && (
+            <div className="grid md:grid-cols-2 gap-8">
+              <div className="grid grid-cols-2 gap-4 content-start">
+                <label className="col-span-2"><span className={labelClass}>Purchase price (£)</span><input type="number" min="0" step="1000" className={inputClass} value={price} onChange={(e) => setPrice(e.target.value)} placeholder={String(estimatedValue)} /></label>
+                <label><span className={labelClass}>Where</span>
+                  <select className={inputClass} value={nation} onChange={(e) => setNation(e.target.value)}>
+                    {Object.entries(PURCHASE_TAXES).map(([key, rules]) => <option key={key} value={key}>{rules.nation}</option>)}
+                  </select>
+                </label>
+                <label><span className={labelClass}>Buyer</span>
+                  <select className={inputClass} value={buyerType} onChange={(e) => setBuyerType(e.target.value)}>
+                    {BUYER_TYPES.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div>
+                <div className="p-4 rounded-xl bg-emerald-50 border border-emerald-100 text-center mb-4">
+                  <div className="text-xs text-emerald-600 font-bold uppercase tracking-wider mb-1">{tax.name}</div>
+                  <div className="text-2xl font-bold text-emerald-700">{formatPounds(tax.tax)}</div>
+                  <div className="text-xs text-gray-500 mt-1">{percent(tax.effectiveRate, 2)} of {formatPounds(purchasePrice)}</div>
+                </div>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {tax.bands.map((b) => (
+                    <li key={b.from} className="flex justify-between py-2"><span className="text-gray-600">{formatPrice(b.from)}{b.to === Infinity ? '+' : ` - ${formatPrice(b.to)}`} at {percent(b.rate, 1)}</span><span className="font-semibold text-gray-900">{formatPounds(b.amount)}</span></li>
+                  ))}
+                </ul>
+                {tax.note && <p className="text-sm text-amber-700 mt-2">{tax.note}</p>}
+                <p className="text-xs text-gray-400 mt-4">Rates from {TAX_RULES_AS_OF} for residential purchases. Reliefs have conditions, and some purchases (companies, mixed use, replacing a main home) are taxed differently; your solicitor will confirm the amount.</p>
+              </div>
             </div>
-        </InfoPage>
+          )}
+
+          {tab === 'rent' && (
+            <div className="grid md:grid-cols-2 gap-8">
+              <div>
+                <label><span className={labelClass}>Monthly rent (£)</span><input type="number" min="0" step="25" className={inputClass} value={rent} onChange={(e) => setRent(e.target.value)} placeholder={`${estimateRent(estimatedValue, region, property.type).monthlyRent} (estimated)`} /></label>
+                <p className="text-xs text-gray-400 mt-3">Leave blank to use our estimate, or enter a rent from local listings or an agent to see the yield it gives.</p>
+              </div>
+              <div>
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                  <div className="p-4 rounded-xl bg-emerald-50 border border-emerald-100 text-center"><div className="text-xs text-emerald-600 font-bold uppercase tracking-wider mb-1">{rent ? 'Monthly rent' : 'Estimated rent'}</div><div className="text-xl font-bold text-emerald-700">{formatPounds(rental.monthlyRent)}</div><div className="text-xs text-gray-500 mt-1">{formatPounds(rental.monthlyRent * 12)} a year</div></div>
+                  <div className="p-4 rounded-xl bg-gray-50 border border-gray-100 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Gross yield</div><div className="text-xl font-bold text-gray-700">{percent(rental.grossYield, 1)}</div><div className="text-xs text-gray-500 mt-1">Typical here: {percent(rental.typicalYield, 1)}</div></div>
+                </div>
+                <p className="text-xs text-gray-400">The estimate applies the typical gross yield for a {(property.type || 'home').toLowerCase()} in {region} to the valuation. Gross yield is a year's rent as a share of the value, before letting fees, maintenance, insurance, voids and mortgage costs.</p>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// PDF for brokers and solicitors, CSV/JSON for spreadsheets; all built in the browser
+const ReportDownloads = ({ property, region, valuation }) => {
+  const [generating, setGenerating] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const exportData = () => buildExportData({ property, regionKey: region, valuation });
+
+  const downloadPdf = async () => {
+    setGenerating(true);
+    setFailed(false);
+    try {
+      const { buildValuationPdf } = await import('./lib/pdf');
+      const data = exportData();
+      const history = buildValueHistory({ property, regionKey: region, estimatedValue: valuation.estimatedValue });
+      downloadBlob(await buildValuationPdf({ data, history }), exportFilename(data, 'pdf'));
+    } catch (err) {
+      console.error(err);
+      setFailed(true);
+    } finally {
+      setGenerating(false);
+    }
+  };
+  const downloadData = (format) => {
+    const data = exportData();
+    // The BOM lets Excel read £ and m² correctly
+    const blob = format === 'csv'
+      ? new Blob(['\ufeff' + toCsv(data)], { type: 'text/csv;charset=utf-8' })
+      : new Blob([toJson(data)], { type: 'application/json' });
+    downloadBlob(blob, exportFilename(data, format));
+  };
+
+  return (
+    <div className="p-6 md:p-8 border-t border-gray-100 flex flex-col sm:flex-row sm:items-center gap-4">
+      <div className="flex-1">
+        <h3 className="font-bold text-gray-900">Download this valuation</h3>
+        <p className="text-sm text-gray-500">A dated report with the figures, method, chart and data sources, for your broker, solicitor or mediator.</p>
+        {failed && <p className="text-sm text-red-600 mt-1">We couldn't create the PDF. Please try again, or download the figures as CSV.</p>}
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <button onClick={downloadPdf} disabled={generating} className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-full font-medium text-sm flex items-center gap-2 transition-colors disabled:opacity-70"><Download size={16} /> {generating ? 'Preparing...' : 'Download report'}</button>
+        <button onClick={() => downloadData('csv')} className="px-3 py-2 text-sm font-medium text-emerald-700 rounded-full hover:bg-emerald-50">CSV</button>
+        <button onClick={() => downloadData('json')} className="px-3 py-2 text-sm font-medium text-emerald-700 rounded-full hover:bg-emerald-50">JSON</button>
+      </div>
+    </div>
+  );
+};
+
+const AdjustmentsPanel = ({ property, adjustments, setAdjustments, valuation }) => {
+  const [open, setOpen] = useState(false);
+  const set = (key) => (e) => setAdjustments({ ...adjustments, [key]: e.target.type === 'checkbox' ? e.target.checked : e.target.value });
+  const { original, breakdown } = valuation;
+
+  return (
+    <div className="p-6 md:p-8 border-t border-gray-100">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center justify-between text-left group">
+        <div>
+          <h3 className="font-bold text-gray-900 flex items-center gap-2 group-hover:text-emerald-700"><SlidersHorizontal size={18} className="text-emerald-600" /> Adjust Property Details</h3>
+          <p className="text-sm text-gray-500">Wrong floor area or EPC band? Extended since you bought? Update the details and see the estimate change.</p>
+        </div>
+        <ChevronRight size={20} className={`text-gray-400 shrink-0 transition-transform ${open ? 'rotate-90' : ''}`} />
+      </button>
+
+      {open && (
+        <div className="mt-6 grid md:grid-cols-2 gap-8">
+          <div className="grid grid-cols-2 gap-4 content-start">
+            <label><span className={labelClass}>Floor area (m²)</span><input type="number" min="0" className={inputClass} value={adjustments.sqMeters} onChange={set('sqMeters')} placeholder="From EPC" /></label>
+            {!toNumber(adjustments.sqMeters) && <label><span className={labelClass}>Bedrooms</span><input type="number" min="0" max={MAX_BEDROOMS} className={inputClass} value={adjustments.bedrooms} onChange={set('bedrooms')} placeholder="Estimates floor area" /></label>}
+            <label><span className={labelClass}>Property type</span>
+              <select className={inputClass} value={adjustments.type} onChange={set('type')}>
+                {!PROPERTY_TYPE_OPTIONS.includes(property.type) && <option value={property.type || ''}>{property.type || 'Unknown'}</option>}
+                {PROPERTY_TYPE_OPTIONS.map((t) => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </label>
+            <label><span className={labelClass}>EPC band</span>
+              <select className={inputClass} value={adjustments.epc} onChange={set('epc')}>
+                {!normaliseBand(property.epc) && <option value="">Unknown</option>}
+                {EPC_BANDS.map((b) => <option key={b} value={b}>{b}</option>)}
+              </select>
+            </label>
+            <label><span className={labelClass}>Extension since sale (m²)</span><input type="number" min="0" className={inputClass} value={adjustments.extensionSqm} onChange={set('extensionSqm')} placeholder="0" /></label>
+            <label><span className={labelClass}>Condition</span>
+              <select className={inputClass} value={adjustments.condition} onChange={set('condition')}>
+                {CONDITION_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </label>
+            <label><span className={labelClass}>Garden</span>
+              <select className={inputClass} value={adjustments.garden} onChange={set('garden')}>
+                {GARDEN_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700"><input type="checkbox" className="accent-emerald-600" checked={adjustments.loftConversion} onChange={set('loftConversion')} /> Loft conversion since sale</label>
+            <label className="flex items-center gap-2 text-sm text-gray-700"><input type="checkbox" className="accent-emerald-600" checked={adjustments.parking} onChange={set('parking')} /> Off-street parking</label>
+            <button onClick={() => setAdjustments(defaultAdjustments(property))} className="col-span-2 text-left text-sm text-emerald-600 hover:underline">Reset to recorded details</button>
+          </div>
+
+          <div>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div className="p-4 rounded-xl bg-gray-50 border border-gray-100 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Original</div><div className="text-xl font-bold text-gray-700">{(original || valuation).estimatedValue > 0 ? formatPrice((original || valuation).estimatedValue) : 'N/A'}</div></div>
+              <div className="p-4 rounded-xl bg-emerald-50 border border-emerald-100 text-center"><div className="text-xs text-emerald-600 font-bold uppercase tracking-wider mb-1">Adjusted</div><div className="text-xl font-bold text-emerald-700">{valuation.estimatedValue > 0 ? formatPrice(valuation.estimatedValue) : 'N/A'}</div></div>
+            </div>
+            {breakdown && breakdown.length > 0 ? (
+              <ul className="divide-y divide-gray-100 text-sm">
+                {breakdown.map((item) => (
+                  <li key={item.key} className="flex justify-between py-2"><span className="text-gray-600">{item.label}</span><span className={`font-semibold ${item.amount < 0 ? 'text-red-600' : 'text-emerald-700'}`}>{item.amount < 0 ? '−' : '+'}{formatPrice(Math.abs(item.amount))}</span></li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-400 text-center">No adjustments yet. Changes you make are applied instantly.</p>
+            )}
+            <p className="text-xs text-gray-400 mt-4">Adjustments use typical market premiums and are indicative only. A corrected floor area changes size-based and comparable estimates; a sold-price estimate already reflects the home as it was sold.</p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FAQ_ICONS = { info: Info, alert: AlertTriangle, check: CheckCircle, pin: MapPin, help: HelpCircle };
+const SOURCE_ICONS = { registry: Scale, epc: Building2, ons: TrendingUp };
+
+// Renders **bold** markup from plain-text content
+const RichText = ({ text }) => text.split(/\*\*(.+?)\*\*/g).map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part));
+
+const DistrictPage = ({ district, renderSearchForm, onBack }) => {
+  const stats = getRegionStats(district.region);
+  const neighbours = (getDistrictsByRegion()[district.region] || []).filter((d) => d.outcode !== district.outcode);
+  const asOf = monthKeyToDate(stats.latestMonth).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+  const typeLabels = { detached: 'Detached', semi: 'Semi-detached', terraced: 'Terraced', flat: 'Flats' };
+
+  return (
+    <InfoPage title={`House Prices in ${district.outcode}`} icon={MapPin} onBack={onBack}>
+      <p className="mb-6 text-lg"><strong>{district.outcode}</strong> covers {district.name} in the <strong>{district.region}</strong> region. The figures below follow {HPI_APPROXIMATE ? `an approximate price index for ${district.region}` : `the official UK House Price Index for ${district.region}`}, with data to {asOf}.</p>
+      <div className="grid grid-cols-3 gap-4 mb-8">
+        {[['1 year', stats.change1y], ['5 years', stats.change5y], ['10 years', stats.change10y]].map(([label, value]) => (
+          <div key={label} className="p-4 bg-gray-50 rounded-xl border border-gray-100 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">{label}</div><div className={`text-2xl font-bold ${value >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>{formatChange(value)}</div></div>
+        ))}
+      </div>
+      <h3 className="font-bold text-gray-900 mb-2">Annual change by property type</h3>
+      <ul className="mb-8 divide-y divide-gray-100">
+        {Object.entries(stats.byType).map(([type, value]) => (
+          <li key={type} className="flex justify-between py-2 text-sm"><span>{typeLabels[type]}</span><span className="font-semibold text-gray-900">{formatChange(value)}</span></li>
+        ))}
+      </ul>
+      <h3 className="font-bold text-gray-900 mb-4">Value a home in {district.outcode}</h3>
+      <div className="text-center">{renderSearchForm(`Enter a postcode in ${district.outcode}`)}</div>
+      {neighbours.length > 0 && (
+        <>
+          <h3 className="font-bold text-gray-900 mb-2">More in {district.region}</h3>
+          <div className="flex flex-wrap gap-2">
+            {neighbours.map((d) => <Link key={d.outcode} to={buildPath('district', { outcode: d.outcode })} className="px-3 py-1 rounded-full bg-emerald-50 text-emerald-700 text-sm hover:bg-emerald-100">{d.outcode} {d.name}</Link>)}
+          </div>
+        </>
+      )}
+      <p className="text-xs text-gray-400 mt-8">Source: {HPI_SOURCE}. Regional figures apply to every district in the region; individual streets can differ.</p>
+    </InfoPage>
+  );
+};
+
+const PropertyRow = ({ property, to, highlighted, nested, onClick }) => (
+  <Link id={`property-${property.id}`} to={to} onClick={onClick} className={`w-full text-left py-4 border-b border-gray-100 hover:bg-emerald-50 transition-colors flex justify-between items-center group ${nested ? 'pl-10 pr-6' : 'px-6'} ${highlighted ? 'bg-emerald-50 ring-2 ring-inset ring-emerald-300' : ''}`}>
+    <div><span className="font-semibold text-gray-800 block group-hover:text-emerald-700">{property.address}</span><span className="text-xs text-gray-400">{property.type} • {property.sqMeters}m² • Last sold {property.lastSoldDate ? new Date(property.lastSoldDate).getFullYear() : 'Unknown'}</span></div>
+    <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center group-hover:bg-emerald-600 group-hover:text-white transition-all"><ArrowRight size={14} /></div>
+  </Link>
+);
+
+// Step 2: filter, sort and page through a postcode's properties, with flats grouped by building
+const PropertyList = ({ search, view, onViewChange, highlightId, onSelect }) => {
+  const rows = arrangeProperties(search.properties, view);
+  const pages = pageCount(rows);
+  const page = Math.min(view.page, pages);
+  const pageRows = getPage(rows, page);
+  const flatsIn = (building) => rows.filter((r) => r.building === building).length;
+  const update = (changes) => onViewChange({ ...view, page: 1, ...changes });
+  const goToPage = (n) => {
+    onViewChange({ ...view, page: n });
+    document.getElementById('property-list')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  if (search.properties.length === 0) {
+    return <div className="p-8 text-center text-gray-500 bg-white rounded-xl border border-gray-200"><p>No recent sales found.</p><Link to="/" className="inline-block mt-4 text-emerald-600 hover:underline">Try another postcode</Link></div>;
+  }
+
+  return (
+    <>
+      <div className="flex flex-col sm:flex-row gap-3 mb-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} />
+          <input type="search" value={view.query} onChange={(e) => update({ query: e.target.value })} placeholder="House number or name" aria-label="Filter addresses" className="w-full pl-9 pr-3 py-2 rounded-lg border border-gray-200 focus:border-emerald-600 outline-none text-sm" />
+        </div>
+        <select value={view.sort} onChange={(e) => update({ sort: e.target.value })} aria-label="Sort addresses" className="px-3 py-2 rounded-lg border border-gray-200 focus:border-emerald-600 outline-none text-sm bg-white">
+          {PROPERTY_SORTS.map((o) => <option key={o.value} value={o.value}>Sort: {o.label}</option>)}
+        </select>
+      </div>
+      <p className="text-xs text-gray-400 mb-2">
+        {rows.length === search.properties.length ? `${rows.length} properties` : `${rows.length} of ${search.properties.length} properties match`}
+        {pages > 1 && ` • showing ${(page - 1) * PAGE_SIZE + 1}-${(page - 1) * PAGE_SIZE + pageRows.length}`}
+      </p>
+      <div id="property-list" className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden scroll-mt-24">
+        {pageRows.map((row, i) => (
+          <React.Fragment key={row.property.id}>
+            {row.building && (i === 0 || pageRows[i - 1].building !== row.building) && (
+              <div className="px-6 py-3 bg-gray-50 border-b border-gray-100 flex items-center gap-2 text-sm font-bold text-gray-700">
+                <Building2 size={16} className="text-emerald-600" /> {row.building}
+                <span className="ml-auto text-xs font-normal text-gray-400">{flatsIn(row.building)} flats</span>
+              </div>
+            )}
+            <PropertyRow property={row.property} to={buildPath('property', { postcode: search.slug, propertyId: row.property.id })} highlighted={highlightId === row.property.id} nested={!!row.building} onClick={onSelect} />
+          </React.Fragment>
+        ))}
+        {rows.length === 0 && (
+          <div className="p-8 text-center text-gray-500">
+            <p>No addresses match "{view.query}".</p>
+            <button onClick={() => update({ query: '' })} className="mt-4 text-emerald-600 hover:underline">Show all properties</button>
+          </div>
+        )}
+      </div>
+      {pages > 1 && (
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <button onClick={() => goToPage(page - 1)} disabled={page === 1} className="flex items-center gap-1 px-3 py-2 rounded-lg text-emerald-700 hover:bg-emerald-50 disabled:opacity-40 disabled:hover:bg-transparent"><ChevronLeft size={16} /> Previous</button>
+          <span className="text-gray-500">Page {page} of {pages}</span>
+          <button onClick={() => goToPage(page + 1)} disabled={page === pages} className="flex items-center gap-1 px-3 py-2 rounded-lg text-emerald-700 hover:bg-emerald-50 disabled:opacity-40 disabled:hover:bg-transparent">Next <ChevronRight size={16} /></button>
+        </div>
+      )}
+    </>
+  );
+};
+
+// --- SAVED VALUATIONS ---
+
+const SaveValuationButton = ({ slug, region, property, adjustments, valuation }) => {
+  const saved = useSavedValuations().find((i) => i.id === savedValuationId(slug, property.id));
+  const changed = saved && saved.saved.estimatedValue !== valuation.estimatedValue;
+  const save = () => saveValuation({ slug, regionKey: region, property, adjustments, valuation });
+  const base = 'text-sm font-medium flex items-center gap-1 px-3 py-1.5 rounded-full transition-colors';
+
+  if (!saved) return <button onClick={save} className={`${base} text-emerald-700 hover:bg-emerald-50`}><Bookmark size={16} /> Save valuation</button>;
+  if (changed) return <button onClick={save} className={`${base} text-emerald-700 hover:bg-emerald-50`}><Bookmark size={16} /> Update saved valuation</button>;
+  return <button onClick={() => removeSavedValuation(saved.id)} title="Remove from My Valuations" className={`${base} bg-emerald-50 text-emerald-700 hover:bg-emerald-100`}><BookmarkCheck size={16} /> Saved</button>;
+};
+
+const formatDifference = (diff, base) => {
+  if (!diff) return 'No change';
+  return `${diff > 0 ? '+' : '-'}${formatPrice(Math.abs(diff))} (${formatChange(diff / base)})`;
+};
+
+const SavedValuations = ({ onBack }) => {
+  const items = useSavedValuations();
+  const [selected, setSelected] = useState([]);
+  const rows = items.map((item) => ({ item, current: revalue(item) }));
+  const compared = rows.filter((r) => selected.includes(r.item.id));
+
+  const toggle = (id) => setSelected((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : ids.length < MAX_COMPARE ? [...ids, id] : ids));
+  const remove = (id) => {
+    setSelected((ids) => ids.filter((i) => i !== id));
+    removeSavedValuation(id);
+  };
+
+  // One row per figure in the comparison table
+  const COMPARE_ROWS = [
+    ['Estimated value', ({ current }) => <strong className="text-gray-900">{current.estimatedValue > 0 ? formatPrice(current.estimatedValue) : 'Unavailable'}</strong>],
+    ['Range', ({ current }) => (current.estimatedValue > 0 ? `${formatPrice(current.lowerBound)} - ${formatPrice(current.upperBound)}` : '-')],
+    ['Price per m²', ({ item, current }) => (item.property.sqMeters > 0 && current.estimatedValue > 0 ? formatPrice(current.estimatedValue / item.property.sqMeters) : '-')],
+    ['Growth since last sale', ({ item, current }) => (item.property.lastSoldPrice > 0 && current.estimatedValue > 0 ? `${formatChange(current.estimatedValue / item.property.lastSoldPrice - 1)} since ${new Date(item.property.lastSoldDate).getFullYear()}` : '-')],
+    ['EPC rating', ({ item }) => item.property.epc || '-'],
+    ['Size', ({ item }) => (item.property.sqMeters > 0 ? `${item.property.sqMeters} m²` : '-')],
+    ['Type', ({ item }) => item.property.type || '-'],
+    ['Change since saved', ({ item, current }) => formatDifference(current.estimatedValue - item.saved.estimatedValue, item.saved.estimatedValue)]
+  ];
+
+  return (
+    <InfoPage title="My Valuations" icon={Bookmark} onBack={onBack}>
+      <p className="mb-6">Saved on this device only. We don't receive them, and clearing your browser data removes them.</p>
+      {rows.length === 0 && (
+        <div className="p-8 text-center bg-gray-50 rounded-xl border border-gray-100">
+          <p>You haven't saved any valuations yet. Use <strong>Save valuation</strong> on a result to keep it here.</p>
+          <Link to="/" className="inline-block mt-4 text-emerald-600 font-medium hover:underline">Value a property</Link>
+        </div>
+      )}
+      {rows.length > 0 && (
+        <>
+          <p className="text-sm text-gray-500 mb-3">Tick {MIN_COMPARE} to {MAX_COMPARE} properties to compare them side by side.</p>
+          <div className="divide-y divide-gray-100 border border-gray-100 rounded-xl overflow-hidden mb-8">
+            {rows.map(({ item, current }) => {
+              const checked = selected.includes(item.id);
+              return (
+                <div key={item.id} className={`px-4 py-3 flex items-center gap-4 ${checked ? 'bg-emerald-50' : ''}`}>
+                  <input type="checkbox" checked={checked} disabled={!checked && selected.length >= MAX_COMPARE} onChange={() => toggle(item.id)} aria-label={`Compare ${item.property.address}`} className="accent-emerald-600 w-4 h-4 shrink-0" />
+                  <div className="min-w-0 flex-1">
+                    <Link to={buildPath('property', { postcode: item.slug, propertyId: item.property.id })} className="font-medium text-gray-800 block truncate hover:text-emerald-700">{item.property.address}</Link>
+                    <span className="text-xs text-gray-400">{item.property.postcode} • Saved {new Date(item.savedAt).toLocaleDateString('en-GB')} at {formatPrice(item.saved.estimatedValue)}</span>
+                  </div>
+                  <div className="text-right shrink-0">
+                    <span className="font-semibold text-gray-900 block">{current.estimatedValue > 0 ? formatPrice(current.estimatedValue) : 'Unavailable'}</span>
+                    <span className={`text-xs ${current.estimatedValue > item.saved.estimatedValue ? 'text-emerald-600' : current.estimatedValue < item.saved.estimatedValue ? 'text-red-600' : 'text-gray-400'}`}>{formatDifference(current.estimatedValue - item.saved.estimatedValue, item.saved.estimatedValue)}</span>
+                  </div>
+                  <button onClick={() => remove(item.id)} title="Remove" aria-label={`Remove ${item.property.address}`} className="text-gray-400 hover:text-red-600 shrink-0"><Trash2 size={16} /></button>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+      {compared.length >= MIN_COMPARE && (
+        <>
+          <h3 className="font-bold text-gray-900 mb-3">Side by side</h3>
+          <div className="overflow-x-auto border border-gray-100 rounded-xl">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2" />
+                  {compared.map(({ item }) => <th key={item.id} className="px-3 py-2 font-semibold text-gray-900 align-top">{item.property.address}<span className="block text-xs font-normal text-gray-400">{item.property.postcode}</span></th>)}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {COMPARE_ROWS.map(([label, cell]) => (
+                  <tr key={label}>
+                    <th className="px-3 py-2 font-medium text-gray-500 whitespace-nowrap">{label}</th>
+                    {compared.map((row) => <td key={row.item.id} className="px-3 py-2">{cell(row)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">Estimates are recalculated with the latest index figures each time you open this page.</p>
+        </>
+      )}
+    </InfoPage>
+  );
+};
+
+// --- COOKIE CONSENT ---
+
+const ConsentToggle = ({ category, checked, onChange }) => (
+  <label className={`flex gap-3 p-4 rounded-xl border ${checked ? 'border-emerald-200 bg-emerald-50/50' : 'border-gray-100'} ${category.required ? '' : 'cursor-pointer'}`}>
+    <input type="checkbox" checked={checked} disabled={category.required} onChange={(e) => onChange(e.target.checked)} className="accent-emerald-600 w-4 h-4 mt-1 shrink-0" />
+    <span>
+      <span className="font-bold text-gray-900 block">{category.name}{category.required && <span className="ml-2 text-xs font-normal text-gray-400">Always on</span>}</span>
+      <span className="text-sm text-gray-600">{category.description}</span>
+    </span>
+  </label>
+);
+
+// Banner until the visitor decides (or the policy version changes), preferences dialog on request
+const CookieConsent = ({ settingsOpen, onCloseSettings }) => {
+  const { consent, ready } = useConsent();
+  const [managing, setManaging] = useState(false);
+  const [dismissed, setDismissed] = useState(false); // Closed without deciding: nothing optional loads, and we ask again next visit
+  const [choices, setChoices] = useState(allChoices(false));
+  const panelRef = useRef(null);
+  const dialogOpen = settingsOpen || managing;
+  const bannerOpen = !dialogOpen && !consent && !dismissed;
+
+  useEffect(() => {
+    if (settingsOpen) setChoices(consent ? consent.choices : allChoices(false));
+  }, [settingsOpen]);
+
+  // Move focus into the banner or dialog as it opens, so keyboard and screen reader users start there
+  useEffect(() => {
+    if (ready && (dialogOpen || bannerOpen)) panelRef.current?.focus();
+  }, [ready, dialogOpen, bannerOpen]);
+
+  const decide = (values) => {
+    saveConsent(values);
+    setManaging(false);
+    onCloseSettings();
+  };
+  const close = () => {
+    setManaging(false);
+    onCloseSettings();
+  };
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    if (dialogOpen) close();
+    else setDismissed(true);
+  };
+
+  if (!ready) return null;
+
+  if (dialogOpen) {
+    return (
+      <div className="fixed inset-0 z-[60] bg-black/40 flex items-end sm:items-center justify-center p-4" role="dialog" aria-modal="true" aria-labelledby="cookie-settings-title" onKeyDown={handleKeyDown}>
+        <div ref={panelRef} tabIndex={-1} className="bg-white rounded-2xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto p-6 focus:outline-none">
+          <h2 id="cookie-settings-title" className="text-xl font-bold text-gray-900 mb-2">Cookie settings</h2>
+          <p className="text-sm text-gray-600 mb-4">Choose which cookies we may use. You can change this at any time from the link in the footer. <Link to={buildPath('privacy')} onClick={close} className="text-emerald-700 underline">Privacy Policy</Link></p>
+          <div className="space-y-3 mb-6">
+            {CONSENT_CATEGORIES.map((category) => (
+              <ConsentToggle key={category.id} category={category} checked={category.required || !!choices[category.id]} onChange={(checked) => setChoices({ ...choices, [category.id]: checked })} />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 justify-end">
+            <button onClick={() => decide(allChoices(false))} className="px-4 py-2 rounded-full border border-gray-300 text-gray-700 text-sm font-medium hover:bg-gray-50">Reject all</button>
+            <button onClick={() => decide(choices)} className="px-4 py-2 rounded-full border border-emerald-600 text-emerald-700 text-sm font-medium hover:bg-emerald-50">Save choices</button>
+            <button onClick={() => decide(allChoices(true))} className="px-4 py-2 rounded-full bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700">Accept all</button>
+          </div>
+        </div>
+      </div>
     );
+  }
+
+  if (!bannerOpen) return null;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-[60] p-4" role="region" aria-label="Cookie consent" onKeyDown={handleKeyDown}>
+      <div ref={panelRef} tabIndex={-1} className="relative max-w-3xl mx-auto bg-white rounded-2xl border border-gray-200 shadow-xl p-5 pr-12 flex flex-col md:flex-row md:items-center gap-4 focus:outline-none">
+        <button onClick={() => setDismissed(true)} aria-label="Close without accepting optional cookies" className="absolute top-3 right-3 p-1 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100"><X size={18} /></button>
+        <p className="text-sm text-gray-600 flex-1">We'd like to use analytics cookies to see how the site is used, and advertising cookies to help keep it free. Neither is set unless you agree. <Link to={buildPath('privacy')} className="text-emerald-700 underline">Learn more</Link></p>
+        <div className="flex flex-wrap gap-2 shrink-0">
+          <button onClick={() => { setChoices(allChoices(false)); setManaging(true); }} className="px-4 py-2 rounded-full text-emerald-700 text-sm font-medium hover:bg-emerald-50">Manage</button>
+          <button onClick={() => decide(allChoices(false))} className="px-4 py-2 rounded-full border border-gray-300 text-gray-700 text-sm font-medium hover:bg-gray-50">Reject all</button>
+          <button onClick={() => decide(allChoices(true))} className="px-4 py-2 rounded-full bg-emerald-600 text-white text-sm font-medium hover:bg-emerald-700">Accept all</button>
+        </div>
+      </div>
+    </div>
+  );
 };
 
-const Header = ({ setPage }) => (
-  <header className="bg-white border-b py-4 px-6 flex items-center justify-between sticky top-0 z-50">
-    <button onClick={() => setPage('home')} className="flex items-center gap-2 hover:opacity-80 transition-opacity">
-      <div className="bg-emerald-600 p-2 rounded-lg text-white"><Home size={24} /></div>
-      <span className="text-xl font-bold text-gray-900 tracking-tight">GetMyHouseValue<span className="text-emerald-600">.co.uk</span></span>
-    </button>
-    <nav className="hidden md:flex items-center gap-6 text-sm font-medium text-gray-600">
-      <button onClick={() => setPage('how-it-works')} className="hover:text-emerald-600 transition-colors">How it Works</button>
-      <button onClick={() => setPage('data')} className="hover:text-emerald-600 transition-colors">Data Sources</button>
-      <button className="px-4 py-2 bg-emerald-50 text-emerald-700 rounded-full hover:bg-emerald-100 transition-colors">Agent Login</button>
-    </nav>
-  </header>
+// The privacy page's cookie section, from the same definitions the banner uses
+const CookiePolicy = ({ onOpenSettings }) => (
+  <>
+    <p className="mb-4">We only set cookies and similar browser storage that the site needs to work, unless you agree to more. Analytics and advertising scripts are not loaded at all until you opt in, and Google Consent Mode tells Google's tags what you have allowed.</p>
+    {CONSENT_CATEGORIES.map((category) => (
+      <div key={category.id} className="mb-4">
+        <h4 className="font-bold text-gray-800">{category.name}{category.required ? ' (always on)' : ' (only with your consent)'}</h4>
+        <p className="text-sm mb-2">{category.description}</p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs text-left border border-gray-100">
+            <thead className="bg-gray-50"><tr><th className="px-2 py-1">Name</th><th className="px-2 py-1">Provider</th><th className="px-2 py-1">Purpose</th><th className="px-2 py-1">Duration</th></tr></thead>
+            <tbody className="divide-y divide-gray-100">
+              {category.cookies.map((cookie) => <tr key={cookie.name}><td className="px-2 py-1 font-mono">{cookie.name}</td><td className="px-2 py-1">{cookie.provider}</td><td className="px-2 py-1">{cookie.purpose}</td><td className="px-2 py-1">{cookie.duration}</td></tr>)}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    ))}
+    <button onClick={onOpenSettings} className="mb-4 text-emerald-700 font-medium hover:underline">Change your cookie settings</button>
+  </>
 );
 
+// --- AGENT PORTAL ---
+
+const AgentSignIn = () => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await signIn({ email, password });
+    } catch (err) {
+      setError(err.name === 'AuthError' ? err.message : "We couldn't sign you in. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-sm space-y-4">
+      <p>Sign in to value a list of properties in one go.</p>
+      <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" aria-label="Email" autoComplete="username" className="w-full px-4 py-2 rounded-lg border border-gray-200 focus:border-emerald-600 outline-none" />
+      <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" aria-label="Password" autoComplete="current-password" className="w-full px-4 py-2 rounded-lg border border-gray-200 focus:border-emerald-600 outline-none" />
+      {error && <p role="alert" className="text-sm text-red-600">{error}</p>}
+      <button type="submit" disabled={busy} className="px-6 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-full font-medium transition-colors disabled:opacity-70">{busy ? 'Signing in...' : 'Sign in'}</button>
+      {getAuthProvider()?.name === 'local' && <p className="text-xs text-amber-600">Local development sign-in: any email and password are accepted.</p>}
+    </form>
+  );
+};
+
+const CONFIDENCE_RANK = { High: 3, Medium: 2, Low: 1 };
+
+// Sort keys for the results table; rows that haven't run yet sort last
+const BULK_SORTS = {
+  line: (row) => row.line,
+  address: (row) => (row.input.address || row.input.postcode || '').toLowerCase(),
+  value: (row, result) => (result && result.status === 'done' ? result.valuation.estimatedValue : -1),
+  confidence: (row, result) => (result && result.status === 'done' && result.valuation.confidence ? CONFIDENCE_RANK[result.valuation.confidence.label] : 0),
+  status: (row, result) => (!result ? 2 : result.status === 'error' ? 0 : 1)
+};
+
+const BulkValuations = () => {
+  const [upload, setUpload] = useState(null); // { fileName, header, rows, error } from readBulkCsv
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while running and after
+  const [running, setRunning] = useState(false);
+  const [runError, setRunError] = useState(null); // Set when a run fails as a whole, not row by row
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [sort, setSort] = useState({ key: 'line', dir: 1 });
+  const runRef = useRef(null); // { aborted } for the run in progress
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setUpload({ fileName: file.name, ...readBulkCsv(await file.text()) });
+    setRunError(null);
+    setResults([]);
+    setProgress(null);
+  };
+
+  const run = async () => {
+    const signal = { aborted: false };
+    runRef.current = signal;
+    setRunning(true);
+    setRunError(null);
+    setResults([]);
+    setProgress({ done: 0, total: upload.rows.length });
+    try {
+      await runBulkValuations(upload.rows, {
+        concurrency,
+        signal,
+        onProgress: ({ index, result, done, total }) => {
+          setResults((prev) => { const next = [...prev]; next[index] = result; return next; });
+          setProgress({ done, total });
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      setRunError("The run stopped unexpectedly. Results so far are shown below; you can download them or run again.");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const download = () => {
+    const csv = toEnrichedCsv(upload.header, upload.rows, results);
+    downloadBlob(new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' }), upload.fileName.replace(/\.csv$/i, '') + '-valued.csv');
+  };
+
+  const toggleSort = (key) => setSort((s) => ({ key, dir: s.key === key ? -s.dir : 1 }));
+  const sortedRows = upload ? upload.rows.map((row, i) => ({ row, result: results[i] })).sort((a, b) => {
+    const ka = BULK_SORTS[sort.key](a.row, a.result);
+    const kb = BULK_SORTS[sort.key](b.row, b.result);
+    return (ka < kb ? -1 : ka > kb ? 1 : 0) * sort.dir;
+  }) : [];
+  const failed = results.filter((r) => r && r.status === 'error').length;
+  const sortHeader = (id, label, className = '') => (
+    <th className={`px-3 py-2 font-semibold ${className}`}><button onClick={() => toggleSort(id)} className="inline-flex items-center gap-1 hover:text-emerald-700">{label} <ArrowUpDown size={12} className={sort.key === id ? 'text-emerald-600' : 'text-gray-300'} /></button></th>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-full font-medium text-sm flex items-center gap-2 cursor-pointer transition-colors">
+          <Upload size={16} /> Upload CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={running} className="hidden" />
+        </label>
+        <button onClick={() => downloadBlob(new Blob([TEMPLATE_CSV], { type: 'text/csv' }), 'bulk-valuation-template.csv')} className="text-sm text-emerald-700 hover:underline">Download template</button>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">One property per row with an <strong>address</strong> or <strong>postcode</strong> column. Optional columns: last_sold_price, last_sold_date (YYYY-MM-DD or DD/MM/YYYY), floor_area_sqm and property_type; where given, they override the public records. A sold price needs its date.</p>
+
+      {upload && upload.error && <p role="alert" className="text-sm text-red-600 mb-4">{upload.fileName}: {upload.error}</p>}
+      {upload && !upload.error && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+            <span className="font-medium text-gray-800">{upload.fileName} • {upload.rows.length} rows</span>
+            <label className="flex items-center gap-2 text-gray-500">
+              Parallel requests
+              <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} disabled={running} className="px-2 py-1 rounded border border-gray-200 bg-white">
+                {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+            {running
+              ? <button onClick={() => { runRef.current.aborted = true; }} className="px-4 py-1.5 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50">Stop</button>
+              : <button onClick={run} disabled={upload.rows.length === 0} className="px-4 py-1.5 rounded-full bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50">{progress ? 'Run again' : 'Value properties'}</button>}
+            {progress && !running && progress.done > 0 && <button onClick={download} className="px-4 py-1.5 rounded-full text-emerald-700 hover:bg-emerald-50 flex items-center gap-1"><Download size={14} /> Download results</button>}
+          </div>
+
+          {runError && <p role="alert" className="text-sm text-red-600 mb-4">{runError}</p>}
+          {progress && (
+            <div className="mb-4">
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden"><div className="h-full bg-emerald-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} /></div>
+              <p className="text-xs text-gray-500 mt-1">{progress.done} of {progress.total} valued{failed > 0 && `, ${failed} with errors`}{!running && progress.done < progress.total && ' (stopped)'}</p>
+            </div>
+          )}
+
+          <div className="overflow-x-auto border border-gray-100 rounded-xl">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wide">
+                <tr>
+                  {sortHeader('line', 'Row')}
+                  {sortHeader('address', 'Property')}
+                  {sortHeader('value', 'Estimate', 'text-right')}
+                  {sortHeader('confidence', 'Confidence')}
+                  {sortHeader('status', 'Status')}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {sortedRows.map(({ row, result }) => (
+                  <tr key={row.line} className={result && result.status === 'error' ? 'bg-red-50/50' : ''}>
+                    <td className="px-3 py-2 text-gray-400">{row.line}</td>
+                    <td className="px-3 py-2"><span className="block text-gray-800">{row.input.address || row.input.postcode || '-'}</span>{result && result.status === 'done' && <span className="text-xs text-gray-400">{result.matched ? `Matched ${result.property.address}` : 'Valued from your figures'} • {result.regionKey}</span>}</td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap">{result && result.status === 'done' ? <><span className="font-semibold text-gray-900 block">{formatPrice(result.valuation.estimatedValue)}</span><span className="text-xs text-gray-400">{formatPrice(result.valuation.lowerBound)} - {formatPrice(result.valuation.upperBound)}</span></> : ''}</td>
+                    <td className="px-3 py-2">{result && result.status === 'done' && result.valuation.confidence ? result.valuation.confidence.label : ''}</td>
+                    <td className="px-3 py-2">{!result ? <span className="text-gray-400">{running ? 'Queued' : 'Not run'}</span> : result.status === 'error' ? <span className="text-red-700">{result.error}</span> : <span className="text-emerald-700">Valued ({result.valuation.method})</span>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const AgentPortal = ({ onBack }) => {
+  const { session, ready, available } = useAuth();
+
+  return (
+    <div className="max-w-5xl mx-auto mt-12 px-6 pb-20">
+      <button onClick={onBack} className="mb-6 text-sm text-emerald-600 font-medium hover:underline flex items-center gap-2"><ArrowRight className="rotate-180" size={16} /> Back to Search</button>
+      <div className="bg-white p-8 rounded-2xl border border-emerald-100 shadow-sm text-gray-600">
+        <div className="flex items-center gap-3 mb-6 border-b border-gray-100 pb-4">
+          <div className="bg-emerald-100 p-2 rounded-lg text-emerald-700"><Users size={24} /></div>
+          <h1 className="text-3xl font-bold text-gray-900">Agent Portal</h1>
+          {session && <button onClick={signOut} className="ml-auto text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">{session.email} <LogOut size={14} /></button>}
+        </div>
+        {!ready ? <p className="text-gray-400">Loading...</p>
+          : !available ? <p>The Agent Portal isn't available at the moment. Please check back soon, or value properties one at a time from the search page.</p>
+          : session ? <BulkValuations /> : <AgentSignIn />}
+      </div>
+    </div>
+  );
+};
+
+// Each API error code gets its own explanation and recovery action
+const SEARCH_ERRORS = {
+  INVALID_POSTCODE: { icon: AlertTriangle, title: "That doesn't look like a UK postcode", message: 'Check the format and try again, e.g. SW1A 1AA or M1 1AE.', retry: false },
+  UNSUPPORTED_POSTCODE: { icon: MapPin, title: "We can't value homes there yet", message: "We only cover England, Wales, Scotland and Northern Ireland.", retry: false },
+  NOT_FOUND: { icon: SearchX, title: 'Postcode not found', message: "We couldn't find any records for this postcode. It may be new, or not yet in the Land Registry data.", retry: false },
+  BACKEND_UNAVAILABLE: { icon: WifiOff, title: 'Our data service is unavailable', message: "We couldn't reach the property database after several attempts. This is usually temporary, so please try again in a minute.", retry: true },
+  RATE_LIMITED: { icon: Clock, title: 'Too many searches', message: "We've had a lot of requests from you in a short time. Please wait a moment before searching again.", retry: true }
+};
+
+// Replaces the generic message where the error carries something more specific to say
+const searchErrorMessage = (error, config) => {
+  if (error.outcodeOnly) return `${normalisePostcode(error.postcode)} is a postcode district. Add the rest of your postcode, the part after the space, or pick one from the suggestions.`;
+  if (error.code === 'UNSUPPORTED_POSTCODE') {
+    return error.placeKind === 'crownDependency'
+      ? `${error.postcode} is a postcode for ${error.place}. The Crown Dependencies keep their own property records and aren't covered by the UK House Price Index, so we can't value homes there.`
+      : `${error.postcode} is a postcode for ${error.place}, which we don't cover. ${config.message}`;
+  }
+  if (error.code === 'NOT_FOUND' && error.nation) {
+    // Regional index figures are all we can offer for these postcodes
+    const { name, explanation } = NATIONS[error.nation];
+    const stats = getRegionStats(name);
+    return `${explanation} We have no other records for ${error.postcode}, so we can't value homes here yet. Across ${name}, prices changed ${formatChange(stats.change1y)} over the last year and ${formatChange(stats.change5y)} over five years, following ${indexName(name)}.`;
+  }
+  return config.message;
+};
+
+const SearchError = ({ error, onRetry }) => {
+  const config = SEARCH_ERRORS[error.code] || SEARCH_ERRORS.BACKEND_UNAVAILABLE;
+  const Icon = config.icon;
+  return (
+    <div role="alert" className="max-w-md mx-auto -mt-6 mb-12 p-4 rounded-xl border border-amber-200 bg-amber-50 text-left flex gap-3">
+      <Icon size={20} className="text-amber-600 shrink-0 mt-0.5" />
+      <div className="text-sm">
+        <p className="font-bold text-gray-900">{error.nation ? `No sold prices for ${NATIONS[error.nation].name}` : config.title}</p>
+        <p className="text-gray-600 mt-1">{searchErrorMessage(error, config)}{error.retryAfter ? ` Try again in ${error.retryAfter} seconds.` : ''}</p>
+        {config.retry && <button onClick={onRetry} className="mt-2 text-emerald-700 font-medium hover:underline flex items-center gap-1"><RotateCw size={14} /> Try again</button>}
+      </div>
+    </div>
+  );
+};
+
+const Header = () => {
+  const { session } = useAuth();
+  const saved = useSavedValuations();
+  return (
+    <header className="bg-white border-b py-4 px-6 flex items-center justify-between sticky top-0 z-50">
+      <Link to="/" className="flex items-center gap-2 hover:opacity-80 transition-opacity">
+        <div className="bg-emerald-600 p-2 rounded-lg text-white"><Home size={24} /></div>
+        <span className="text-xl font-bold text-gray-900 tracking-tight">GetMyHouseValue<span className="text-emerald-600">.co.uk</span></span>
+      </Link>
+      <nav className="hidden md:flex items-center gap-6 text-sm font-medium text-gray-600">
+        <Link to={buildPath('how-it-works')} className="hover:text-emerald-600 transition-colors">How it Works</Link>
+        <Link to={buildPath('data')} className="hover:text-emerald-600 transition-colors">Data Sources</Link>
+        <Link to={buildPath('saved')} className="hover:text-emerald-600 transition-colors flex items-center gap-1">My Valuations{saved.length > 0 && <span className="px-1.5 rounded-full bg-emerald-100 text-emerald-700 text-xs">{saved.length}</span>}</Link>
+        <Link to={buildPath('agent')} className="px-4 py-2 bg-emerald-50 text-emerald-700 rounded-full hover:bg-emerald-100 transition-colors">{session ? 'Agent Portal' : 'Agent Login'}</Link>
+      </nav>
+    </header>
+  );
+};
+
 // --- MAIN APP ---
 
+const DEFAULT_LIST_VIEW = { query: '', sort: 'address', page: 1 };
+const AUTOCOMPLETE_DELAY_MS = 250;
+
 export default function App() {
-  const [page, setPage] = useState('home'); // 'home', 'how-it-works', 'data', 'privacy', 'blog-1'
-  const [step, setStep] = useState(1); // 1=Search, 2=List, 3=Result
+  const route = useRoute();
   const [postcode, setPostcode] = useState('');
   const [loading, setLoading] = useState(false);
-  const [properties, setProperties] = useState([]);
-  const [selectedProp, setSelectedProp] = useState(null);
-  const [region, setRegion] = useState('UK Average');
+  const [loadingMessage, setLoadingMessage] = useState('');
+  const [error, setError] = useState(null); // ApiError from the last search, rendered by SearchError
+  const [search, setSearch] = useState(null); // { slug, formattedPostcode, nation, properties } for the loaded postcode
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [highlightId, setHighlightId] = useState(null); // Property to scroll to when returning to the list
+  const [adjustmentState, setAdjustmentState] = useState({ id: null, values: null }); // Homeowner what-if edits, per property
+  const [listView, setListView] = useState(DEFAULT_LIST_VIEW); // Step 2 filter, sort and page, kept while viewing a property
+  const [suggestions, setSuggestions] = useState([]); // Postcode typeahead results
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [cookieSettingsOpen, setCookieSettingsOpen] = useState(false);
+  const [demo, setDemo] = useState(false); // Read after mount, like useConsent's `ready`: prerendered HTML never has the banner
 
-  const handleSearch = async (e) => {
-    e.preventDefault();
+  const routeSlug = route.params.postcode ? toPostcodeSlug(route.params.postcode) : null;
+  const properties = search ? search.properties : [];
+  const selectedProp = route.name === 'property' && search ? properties.find((p) => String(p.id) === route.params.propertyId) || null : null;
+  const adjustments = selectedProp && adjustmentState.id === selectedProp.id ? adjustmentState.values : (selectedProp ? defaultAdjustments(selectedProp) : null);
+  const setAdjustments = (values) => setAdjustmentState({ id: selectedProp.id, values });
+
+  const listPath = search ? buildPath('valuation', { postcode: search.slug }) : '/';
+  const backToList = (id) => {
+    setHighlightId(id);
+    setListView({ ...listView, page: pageOf(arrangeProperties(properties, listView), id) });
+    navigate(listPath);
+  };
+
+  useEffect(() => {
+    const { title, description } = getRouteMeta(route);
+    document.title = title;
+    document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+  }, [route.pathname]);
+
+  useEffect(() => { setDemo(isDemoMode()); }, []);
+
+  useEffect(() => {
+    if (route.name !== 'valuation' || !highlightId) return;
+    document.getElementById(`property-${highlightId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [route.name, highlightId, search]);
+
+  const loadPostcode = async (input) => {
     setLoading(true);
-    const details = await getPostcodeDetails(postcode);
-    setRegion(details.regionKey);
-    const props = await fetchProperties(details.formattedPostcode);
-    setProperties(props);
-    setLoading(false);
-    setStep(2);
-    setPage('home'); 
+    setError(null);
+    setLoadingMessage('');
+    // Backoff retries mean the backend is cold-starting; tell the user why it's slow
+    const onRetry = () => setLoadingMessage('Waking up our data server. This can take up to a minute...');
+    try {
+      const details = await getPostcodeDetails(input, { onRetry });
+      const props = await fetchProperties(details.formattedPostcode, { nation: details.nation, onRetry });
+      setRegion(details.regionKey);
+      setSearch({ slug: toPostcodeSlug(details.formattedPostcode), formattedPostcode: details.formattedPostcode, nation: details.nation, properties: props });
+      setListView(DEFAULT_LIST_VIEW);
+      return toPostcodeSlug(details.formattedPostcode);
+    } catch (err) {
+      if (!err.code) console.error(err);
+      setError(Object.assign(err, { slug: toPostcodeSlug(input) })); // Lets the deep-link loader skip postcodes that just failed
+      return null;
+    } finally {
+      setLoading(false);
+      setLoadingMessage('');
+    }
+  };
+
+  // Deep links: load the postcode named in the URL if it isn't the one already on screen
+  useEffect(() => {
+    if (!routeSlug || loading || (search && search.slug === routeSlug) || (error && error.slug === routeSlug)) return;
+    loadPostcode(routeSlug).then((slug) => {
+      if (slug && slug !== routeSlug) navigate(window.location.pathname.replace(route.params.postcode, slug), { replace: true });
+    });
+  }, [routeSlug]);
+
+  // Typeahead: ask postcodes.io once the user pauses, and stop once the postcode is complete
+  useEffect(() => {
+    const query = postcode.trim();
+    if (query.length < 2 || isValidPostcode(query)) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      autocompletePostcodes(query)
+        .then((results) => { if (!cancelled) { setSuggestions(results); setActiveSuggestion(-1); } })
+        .catch(() => { /* suggestions are a nicety; the search itself reports errors */ });
+    }, AUTOCOMPLETE_DELAY_MS);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [postcode]);
+
+  const handleSearch = async (e, value = postcode) => {
+    if (e) e.preventDefault();
+    setShowSuggestions(false);
+    // Places we don't cover go through the lookup, which explains why instead of calling them invalid
+    if (!isValidPostcode(value) && !findUnsupportedPlace(value)) {
+      setError(new InvalidPostcodeError(value));
+      return;
+    }
+    const slug = await loadPostcode(value);
+    if (slug) navigate(buildPath('valuation', { postcode: slug }));
+  };
+
+  const chooseSuggestion = (value) => {
+    setPostcode(value);
+    setSuggestions([]);
+    handleSearch(null, value);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (!showSuggestions || suggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+      e.preventDefault();
+      chooseSuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
   };
 
+  const renderSearchForm = (placeholder = "Enter Postcode (e.g. SW1A 1AA)") => (
+    <>
+      <form onSubmit={handleSearch} className="max-w-md mx-auto relative mb-12">
+        <input
+          type="text"
+          placeholder={placeholder}
+          className="w-full pl-12 pr-4 py-4 text-base md:text-xl rounded-full border-2 border-gray-200 focus:border-emerald-600 focus:ring-4 focus:ring-emerald-50 outline-none transition-all shadow-sm"
+          value={postcode}
+          autoComplete="off"
+          spellCheck={false}
+          role="combobox"
+          aria-label="Postcode"
+          aria-autocomplete="list"
+          aria-expanded={showSuggestions && suggestions.length > 0}
+          aria-controls="postcode-suggestions"
+          aria-activedescendant={activeSuggestion >= 0 ? `postcode-suggestion-${activeSuggestion}` : undefined}
+          aria-invalid={error?.code === 'INVALID_POSTCODE'}
+          onChange={(e) => { setPostcode(e.target.value); setError(null); setShowSuggestions(true); }}
+          onFocus={() => setShowSuggestions(true)}
+          onBlur={() => { setShowSuggestions(false); if (isValidPostcode(postcode)) setPostcode(normalisePostcode(postcode)); }}
+          onKeyDown={handleSearchKeyDown}
+        />
+        <Search className="absolute left-5 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+        <button type="submit" disabled={loading} className="absolute right-2 top-2 bottom-2 bg-emerald-600 hover:bg-emerald-700 text-white px-6 rounded-full font-medium transition-colors flex items-center gap-2 disabled:opacity-70">
+          {loading ? 'Searching...' : 'Start'}
+          {!loading && <ArrowRight size={16} />}
+        </button>
+        {showSuggestions && suggestions.length > 0 && (
+          <ul id="postcode-suggestions" role="listbox" onMouseDown={(e) => e.preventDefault()} className="absolute left-0 right-0 top-full mt-2 z-20 bg-white rounded-2xl border border-gray-200 shadow-lg overflow-hidden text-left">
+            {suggestions.map((s, i) => (
+              <li key={s} id={`postcode-suggestion-${i}`} role="option" aria-selected={i === activeSuggestion} onClick={() => chooseSuggestion(s)} className={`px-5 py-3 cursor-pointer flex items-center gap-2 text-gray-700 ${i === activeSuggestion ? 'bg-emerald-50 text-emerald-800' : 'hover:bg-gray-50'}`}>
+                <MapPin size={14} className="text-emerald-600" /> {s}
+              </li>
+            ))}
+          </ul>
+        )}
+      </form>
+      {loadingMessage && <p className="-mt-6 mb-12 text-sm text-gray-500">{loadingMessage}</p>}
+      {error && <SearchError error={error} onRetry={() => handleSearch()} />}
+      {demo && <p className="-mt-6 mb-12 text-xs font-bold uppercase tracking-wide text-amber-600">Demo mode: showing sample data, not live records</p>}
+    </>
+  );
+
   const renderContent = () => {
-    if (page === 'how-it-works') {
+    if (route.name === 'how-it-works') {
       return (
-        <InfoPage title="How it Works" icon={FileText} onBack={() => setPage('home')}>
+        <InfoPage title="How it Works" icon={FileText} onBack={() => navigate('/')}>
           <p className="mb-4 text-lg">We use a transparent <strong>"Index-Adjusted"</strong> valuation model. Unlike estate agents who may inflate prices to win your business, we rely purely on official data.</p>
           <div className="space-y-6 mt-8">
             <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">1</div><div><h3 className="font-bold text-gray-900">Locate Baseline</h3><p className="text-sm">We find the last official sold price of your property from the HM Land Registry archives.</p></div></div>
             <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">2</div><div><h3 className="font-bold text-gray-900">Identify Region</h3><p className="text-sm">We identify your specific economic region (e.g., South East, London) using ONS geographical data.</p></div></div>
-            <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">3</div><div><h3 className="font-bold text-gray-900">Apply Growth Factor</h3><p className="text-sm">We calculate the percentage growth of the official House Price Index (HPI) for your region from the date of purchase to today.</p></div></div>
+            <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">3</div><div><h3 className="font-bold text-gray-900">Apply Growth Factor</h3><p className="text-sm">We calculate the percentage growth of the House Price Index (HPI) for your region from the date of purchase to today.</p></div></div>
+            <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">4</div><div><h3 className="font-bold text-gray-900">Check Comparable Sales</h3><p className="text-sm">If your last sale is more than 10 years old, or there isn't one, we look at similar-sized homes of the same type sold in your postcode, adjust each sale to today's prices, and use their median price per square metre instead.</p></div></div>
+            <div className="flex gap-4"><div className="w-8 h-8 rounded-full bg-emerald-100 text-emerald-700 flex items-center justify-center font-bold shrink-0">5</div><div><h3 className="font-bold text-gray-900">Adjust for Energy Efficiency</h3><p className="text-sm">When the estimate comes from area averages rather than your own sale, we add a small premium or discount for your EPC band compared with the typical band in your region.</p></div></div>
           </div>
         </InfoPage>
       );
     }
 
-    if (page === 'data') {
+    if (route.name === 'data') {
       return (
-        <InfoPage title="Data Sources" icon={Database} onBack={() => setPage('home')}>
+        <InfoPage title="Data Sources" icon={Database} onBack={() => navigate('/')}>
           <p className="mb-6 text-lg">We are committed to using only <strong>Open Government Data</strong> to ensure neutrality and trust.</p>
           <div className="grid md:grid-cols-2 gap-4">
-            <a href="https://use-land-property-data.service.gov.uk/datasets/ppd" target="_blank" rel="noopener noreferrer" className="p-6 bg-gray-50 rounded-xl border border-gray-100 hover:border-emerald-200 transition-colors group cursor-pointer block">
-              <div className="flex items-center gap-2 mb-3 text-emerald-800 group-hover:text-emerald-600"><Scale size={20} /><h3 className="font-bold">HM Land Registry</h3><ExternalLink size={14} className="ml-auto opacity-50" /></div>
-              <p className="text-sm text-gray-600">Used for historical sold prices and transaction dates. Contains HM Land Registry data © Crown copyright and database right 2021.</p>
-            </a>
-            <a href="https://epc.opendatacommunities.org/" target="_blank" rel="noopener noreferrer" className="p-6 bg-gray-50 rounded-xl border border-gray-100 hover:border-emerald-200 transition-colors group cursor-pointer block">
-              <div className="flex items-center gap-2 mb-3 text-emerald-800 group-hover:text-emerald-600"><Building2 size={20} /><h3 className="font-bold">EPC Register</h3><ExternalLink size={14} className="ml-auto opacity-50" /></div>
-              <p className="text-sm text-gray-600">Used to retrieve property square footage and current energy efficiency ratings. Sourced from Open Data Communities.</p>
-            </a>
-            <a href="https://landregistry.data.gov.uk/app/ukhpi" target="_blank" rel="noopener noreferrer" className="p-6 bg-gray-50 rounded-xl border border-gray-100 hover:border-emerald-200 transition-colors group cursor-pointer block">
-              <div className="flex items-center gap-2 mb-3 text-emerald-800 group-hover:text-emerald-600"><TrendingUp size={20} /><h3 className="font-bold">ONS Statistics</h3><ExternalLink size={14} className="ml-auto opacity-50" /></div>
-              <p className="text-sm text-gray-600">Used for the UK House Price Index (HPI) to calculate regional growth percentages over time.</p>
-            </a>
+            {DATA_SOURCES.map((source) => {
+              const Icon = SOURCE_ICONS[source.icon];
+              return (
+                <a key={source.name} href={source.url} target="_blank" rel="noopener noreferrer" className="p-6 bg-gray-50 rounded-xl border border-gray-100 hover:border-emerald-200 transition-colors group cursor-pointer block">
+                  <div className="flex items-center gap-2 mb-3 text-emerald-800 group-hover:text-emerald-600"><Icon size={20} /><h3 className="font-bold">{source.name}</h3><ExternalLink size={14} className="ml-auto opacity-50" /></div>
+                  <p className="text-sm text-gray-600">{source.usage} {source.attribution}</p>
+                  <p className="text-xs text-gray-400 mt-2">Covers {describeCoverage(source)}</p>
+                </a>
+              );
+            })}
           </div>
+          <p className="text-xs text-gray-400 mt-6">{OGL_NOTICE}</p>
         </InfoPage>
       );
     }
 
-    if (page === 'privacy') {
+    if (route.name === 'privacy') {
         return (
-          <InfoPage title="Privacy Policy" icon={ShieldCheck} onBack={() => setPage('home')}>
-            <p className="mb-4"><strong>Last Updated: December 2025</strong></p>
+          <InfoPage title="Privacy Policy" icon={ShieldCheck} onBack={() => navigate('/')}>
+            <p className="mb-4"><strong>Last Updated: October 2026</strong></p>
             <p className="mb-4">At GetMyHouseValue.co.uk, we prioritize your privacy. We believe in transparency and collecting only what is strictly necessary to provide our service.</p>
             <h3 className="font-bold text-gray-900 mt-6 mb-2">1. Information We Collect</h3>
             <p className="mb-4">We do not require you to create an account, provide your name, or submit your email address to use this service.</p>
             <ul className="list-disc pl-5 space-y-2 mb-4">
               <li><strong>Search Data:</strong> We process the postcodes you enter solely to retrieve property data from the HM Land Registry and EPC Register. We do not store this data permanently linked to your identity.</li>
-              <li><strong>Usage Data:</strong> We use Google Analytics to understand how visitors interact with our website (e.g., number of visitors, pages visited). This data is anonymized.</li>
+              <li><strong>Saved Valuations:</strong> Valuations you save are kept in your browser's local storage on your device. They are never sent to us, and clearing your browser data deletes them.</li>
+              <li><strong>Usage Data:</strong> If you allow analytics cookies, we use Google Analytics to understand how visitors interact with our website (e.g., number of visitors, pages visited). This data is anonymized.</li>
             </ul>
   
             <h3 className="font-bold text-gray-900 mt-6 mb-2">2. Cookies</h3>
-            <p className="mb-4">We use cookies to ensure the basic functionality of the website and for Google Analytics tracking.</p>
+            <CookiePolicy onOpenSettings={() => setCookieSettingsOpen(true)} />
   
             <h3 className="font-bold text-gray-900 mt-6 mb-2">3. Third-Party Data</h3>
             <p className="mb-4">Our service relies on public sector information licensed under the Open Government Licence v3.0 from HM Land Registry and the Department for Levelling Up, Housing and Communities.</p>
@@ -253,12 +1269,57 @@ export default function App() {
         );
     }
 
-    if (page === 'blog-se-2025') {
-        return <BlogPost onBack={() => setPage('home')} />;
+    if (route.name === 'saved') {
+        return <SavedValuations onBack={() => navigate('/')} />;
+    }
+
+    if (route.name === 'agent') {
+        return <AgentPortal onBack={() => navigate('/')} />;
+    }
+
+    if (route.name === 'reports') {
+        return <ReportsIndex onBack={() => navigate('/')} />;
+    }
+
+    if (route.name === 'report' && getReport(route.params.slug)) {
+        return <ReportPage report={getReport(route.params.slug)} onBack={() => navigate(buildPath('reports'))} />;
+    }
+
+    if (route.name === 'district' && getDistrict(route.params.outcode)) {
+        return <DistrictPage district={getDistrict(route.params.outcode)} renderSearchForm={renderSearchForm} onBack={() => navigate('/')} />;
+    }
+
+    if (route.name === 'not-found' || route.name === 'district' || route.name === 'report') {
+        return (
+          <InfoPage title="Page Not Found" icon={SearchX} onBack={() => navigate('/')}>
+            <p className="mb-4">We couldn't find <strong>{route.pathname}</strong>. It may have moved, or the link may be mistyped.</p>
+            <Link to="/" className="text-emerald-600 font-medium hover:underline">Value a property instead</Link>
+          </InfoPage>
+        );
+    }
+
+    // Valuation routes: wait for the postcode in the URL to load, or explain why it didn't
+    if ((route.name === 'valuation' || route.name === 'property') && (!search || search.slug !== routeSlug)) {
+        return (
+          <div className="max-w-md mx-auto mt-16 text-center px-6">
+            {error ? (
+              <>
+                <div className="mt-12"><SearchError error={error} onRetry={() => { setError(null); loadPostcode(routeSlug); }} /></div>
+                <Link to="/" className="text-emerald-600 font-medium hover:underline">Try another postcode</Link>
+              </>
+            ) : (
+              <>
+                <p className="text-gray-600">Loading properties in <strong>{routeSlug}</strong>...</p>
+                {loadingMessage && <p className="mt-2 text-sm text-gray-500">{loadingMessage}</p>}
+              </>
+            )}
+          </div>
+        );
     }
 
     // Default Home Page Logic
-    if (step === 1) return (
+    const latestReports = getLatestReports(4);
+    if (route.name === 'home') return (
       <div className="max-w-3xl mx-auto mt-12 md:mt-20 text-center animate-in fade-in duration-700 px-6 pb-20">
         <div className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-emerald-50 text-emerald-700 text-xs font-bold uppercase tracking-wide mb-6">
           <CheckCircle size={12} /> Official Land Registry Data
@@ -269,83 +1330,101 @@ export default function App() {
         <p className="text-xl text-gray-500 mb-10 max-w-2xl mx-auto leading-relaxed">
           Instant valuation based on official sold prices and {region} index adjustments. No estate agents calling you. 100% Free.
         </p>
-        <form onSubmit={handleSearch} className="max-w-md mx-auto relative mb-12">
-          <input
-            type="text"
-            placeholder="Enter Postcode (e.g. SW1A 1AA)"
-            className="w-full pl-12 pr-4 py-4 text-base md:text-xl rounded-full border-2 border-gray-200 focus:border-emerald-600 focus:ring-4 focus:ring-emerald-50 outline-none transition-all shadow-sm"
-            value={postcode}
-            onChange={(e) => setPostcode(e.target.value)}
-          />
-          <Search className="absolute left-5 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-          <button type="submit" disabled={loading} className="absolute right-2 top-2 bottom-2 bg-emerald-600 hover:bg-emerald-700 text-white px-6 rounded-full font-medium transition-colors flex items-center gap-2 disabled:opacity-70">
-            {loading ? 'Searching...' : 'Start'}
-            {!loading && <ArrowRight size={16} />}
-          </button>
-        </form>
+        {renderSearchForm()}
 
         {/* --- MARKET INSIGHTS --- */}
         <div className="text-left mt-16 pt-12 border-t border-gray-100">
             <div className="flex justify-between items-end mb-6">
                 <h2 className="text-2xl font-bold text-gray-900">Market Insights</h2>
-                <button onClick={() => setPage('blog-se-2025')} className="text-emerald-600 font-medium text-sm flex items-center gap-1 hover:underline">View Latest Report <ChevronRight size={16} /></button>
+                <Link to={buildPath('reports')} className="text-emerald-600 font-medium text-sm flex items-center gap-1 hover:underline">View All Reports <ChevronRight size={16} /></Link>
             </div>
             <div className="grid md:grid-cols-2 gap-8 text-gray-600 mb-12">
-                <div className="bg-emerald-50 p-6 rounded-xl border border-emerald-100 cursor-pointer hover:shadow-md transition-shadow" onClick={() => setPage('blog-se-2025')}>
-                    <div className="text-xs font-bold text-emerald-600 uppercase tracking-wider mb-2">Featured Report</div>
-                    <h3 className="font-bold text-gray-900 text-lg mb-2">The 2025 South East Property Market Report</h3>
-                    <p className="text-sm mb-4">Why prices rose 20% in 7 years, and how the "Space Race" created a divergence between London and the Home Counties.</p>
-                    <span className="text-sm font-bold text-emerald-700 flex items-center gap-1">Read Analysis <ArrowRight size={14} /></span>
-                </div>
+                {latestReports[0] && <ReportCard report={latestReports[0]} label="Featured Report" />}
                 <div>
                     <h3 className="font-bold text-emerald-800 mb-2">How Accurate Are Online Valuations?</h3>
                     <p className="mb-4 text-sm leading-relaxed">Automated Valuation Models (AVMs) like GetMyHouseValue.co.uk provide a data-driven baseline for your property's worth. By analyzing historical sold data from the HM Land Registry and applying regional economic growth factors from the Office for National Statistics (ONS), we can estimate a property's current market value with a high degree of statistical accuracy.</p>
+                    {latestReports.length > 1 && (
+                        <>
+                            <h3 className="font-bold text-emerald-800 mb-2 mt-6">More Reports</h3>
+                            <ul className="space-y-1 text-sm">
+                                {latestReports.slice(1).map((r) => <li key={r.slug}><Link to={buildPath('report', { slug: r.slug })} className="text-emerald-700 hover:underline">{r.title}</Link></li>)}
+                            </ul>
+                        </>
+                    )}
                 </div>
             </div>
         </div>
 
+        {/* --- HOUSE PRICES BY AREA --- */}
+        {DISTRICTS_PUBLISHED && (
+            <div className="text-left border-t border-gray-100 pt-12 mb-12">
+                <h2 className="text-2xl font-bold text-gray-900 mb-6">House Prices by Area</h2>
+                <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-6 text-sm">
+                    {Object.entries(getDistrictsByRegion()).map(([regionName, districts]) => (
+                        <div key={regionName}>
+                            <h3 className="font-bold text-gray-900 mb-2">{regionName}</h3>
+                            <div className="flex flex-wrap gap-x-3 gap-y-1">
+                                {districts.map((d) => <Link key={d.outcode} to={buildPath('district', { outcode: d.outcode })} className="text-emerald-700 hover:underline" title={d.name}>{d.outcode}</Link>)}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        )}
+
         {/* --- FAQ SECTION --- */}
         <div className="text-left border-t border-gray-100 pt-12">
             <h2 className="text-2xl font-bold text-gray-900 mb-8 text-center">Frequently Asked Questions</h2>
             <div className="grid md:grid-cols-2 gap-6">
-                {/* ... Existing FAQs ... */}
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><Info size={18} className="text-emerald-600"/> Where does the data come from?</h3><p className="text-sm text-gray-600">We use official sold price data from the <strong>HM Land Registry</strong> and cross-reference it with property specifications from the <strong>EPC Register</strong>.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><AlertTriangle size={18} className="text-emerald-600"/> Does this include my renovation?</h3><p className="text-sm text-gray-600">No. This is a quantitative model based on market movements since your last purchase. It cannot account for value added through extensions, new kitchens, or loft conversions unless the property has been re-sold since the work was done.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><CheckCircle size={18} className="text-emerald-600"/> Is this service really free?</h3><p className="text-sm text-gray-600">Yes, 100% free. We believe open government data should be accessible to everyone without needing to hand over your email address or phone number to estate agents.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><MapPin size={18} className="text-emerald-600"/> Why is my valuation unavailable?</h3><p className="text-sm text-gray-600">If your property hasn't been sold since 1995, we can show you your property details but cannot calculate a growth-based valuation.</p></div>
-                {/* --- 4 MORE FAQS ADDED BELOW --- */}
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><HelpCircle size={18} className="text-emerald-600"/> How often is the data updated?</h3><p className="text-sm text-gray-600">The HM Land Registry data and ONS House Price Index are updated monthly. We fetch the latest available data in real-time when you perform a search.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><HelpCircle size={18} className="text-emerald-600"/> Can I value commercial property?</h3><p className="text-sm text-gray-600">Currently, our tool is optimized for residential properties (houses and flats) in England and Wales. Commercial property valuation requires different data sets not yet integrated into this tool.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><HelpCircle size={18} className="text-emerald-600"/> My property size looks wrong?</h3><p className="text-sm text-gray-600">Property sizes are pulled from the Energy Performance Certificate (EPC) register. If your home has been extended since its last EPC assessment, the recorded size might be outdated.</p></div>
-                <div className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><HelpCircle size={18} className="text-emerald-600"/> Do you share my data?</h3><p className="text-sm text-gray-600">We do not sell your personal data or search history. The postcode you enter is used solely to retrieve the property information and is not stored for marketing purposes.</p></div>
+                {FAQS.map((faq) => {
+                    const Icon = FAQ_ICONS[faq.icon];
+                    return (
+                        <div key={faq.question} className="bg-gray-50 p-6 rounded-xl border border-gray-100"><h3 className="font-bold text-gray-900 mb-2 flex items-center gap-2"><Icon size={18} className="text-emerald-600"/> {faq.question}</h3><p className="text-sm text-gray-600"><RichText text={faq.answer} /></p></div>
+                    );
+                })}
             </div>
         </div>
       </div>
     );
 
-    if (step === 2) return (
-      <div className="max-w-2xl mx-auto mt-10 animate-in slide-in-from-bottom-8 fade-in duration-500 px-6">
-        <button onClick={() => setStep(1)} className="text-sm text-gray-500 hover:text-gray-900 mb-6 flex items-center gap-1">← Back</button>
-        <h2 className="text-2xl font-bold mb-2">Select your address</h2>
-        <p className="text-gray-500 mb-6">We found the following properties in {postcode.toUpperCase()}.</p>
-        <div className="bg-white rounded-xl border border-gray-200 shadow-sm overflow-hidden">
-          {properties.length > 0 ? properties.map((addr) => (
-            <button key={addr.id} onClick={() => { setSelectedProp(addr); setStep(3); }} className="w-full text-left px-6 py-4 border-b border-gray-100 hover:bg-emerald-50 transition-colors flex justify-between items-center group">
-              <div><span className="font-semibold text-gray-800 block group-hover:text-emerald-700">{addr.address}</span><span className="text-xs text-gray-400">{addr.type} • {addr.sqMeters}m² • Last sold {addr.lastSoldDate ? new Date(addr.lastSoldDate).getFullYear() : 'Unknown'}</span></div>
-              <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center group-hover:bg-emerald-600 group-hover:text-white transition-all"><ArrowRight size={14} /></div>
-            </button>
-          )) : <div className="p-8 text-center text-gray-500"><p>No recent sales found.</p><button onClick={() => setStep(1)} className="mt-4 text-emerald-600 hover:underline">Try another postcode</button></div>}
-        </div>
-      </div>
-    );
+    if (route.name === 'valuation') {
+        const gap = soldPriceGap(search.nation);
+        return (
+          <div className="max-w-2xl mx-auto mt-10 animate-in slide-in-from-bottom-8 fade-in duration-500 px-6">
+            <Link to="/" className="text-sm text-gray-500 hover:text-gray-900 mb-6 flex items-center gap-1">← Back</Link>
+            <h2 className="text-2xl font-bold mb-2">Select your address</h2>
+            <p className="text-gray-500 mb-6">We found the following properties in {search.formattedPostcode}.</p>
+            {gap && (
+              <div className="mb-6 p-4 rounded-xl border border-amber-200 bg-amber-50 text-sm text-gray-700 flex gap-3">
+                <Info size={18} className="text-amber-600 shrink-0 mt-0.5" />
+                <p>{gap.explanation} Estimates here start from each home's floor area and the {gap.name} average price per m², so they're less precise than in England and Wales.</p>
+              </div>
+            )}
+            <PropertyList search={search} view={listView} onViewChange={setListView} highlightId={highlightId} onSelect={() => setHighlightId(null)} />
+          </div>
+        );
+    }
+
+    if (route.name === 'property' && !selectedProp) {
+        return (
+          <InfoPage title="Property Not Found" icon={SearchX} onBack={() => navigate(listPath)}>
+            <p className="mb-4">We couldn't find this property in <strong>{search.formattedPostcode}</strong>. The records for this postcode may have changed since the link was shared.</p>
+            <Link to={listPath} className="text-emerald-600 font-medium hover:underline">See all properties in {search.formattedPostcode}</Link>
+          </InfoPage>
+        );
+    }
 
-    if (step === 3 && selectedProp) {
-        const { estimatedValue, lowerBound, upperBound, growthFactor, method } = calculateValuation(selectedProp, region);
-        const f = (n) => new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP', maximumSignificantDigits: 3 }).format(n);
+    if (route.name === 'property') {
+        const valuation = calculateValuation(selectedProp, region, properties, adjustments);
+        const { estimatedValue, lowerBound, upperBound, growthFactor, indexMonth, pricePerSqm, comparables, confidence, method, original, epcAdjustment } = valuation;
+        const gap = soldPriceGap(search.nation);
         
         return (
             <div className="max-w-4xl mx-auto mt-10 animate-in fade-in px-6">
-                <button onClick={() => setStep(2)} className="mb-6 text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">← Back to List</button>
+                <div className="mb-6 flex items-center justify-between">
+                    <button onClick={() => backToList(selectedProp.id)} className="text-sm text-gray-500 hover:text-gray-900 flex items-center gap-1">← Back to List</button>
+                    {estimatedValue > 0 && <SaveValuationButton slug={search.slug} region={region} property={selectedProp} adjustments={adjustments} valuation={valuation} />}
+                </div>
                 <div className="bg-white rounded-2xl shadow-xl overflow-hidden border border-emerald-50 mb-8 w-full">
                     <div className="bg-emerald-600 px-6 py-10 text-center text-white">
                         <h2 className="text-2xl md:text-3xl font-bold mb-2 break-words">{selectedProp.address}</h2>
@@ -355,29 +1434,62 @@ export default function App() {
                             <p className="text-emerald-100 text-sm font-medium uppercase tracking-widest mb-2">Estimated Market Value</p>
                             {estimatedValue > 0 ? (
                                 <>
-                                    <div className="text-4xl md:text-5xl font-extrabold tracking-tight mb-2">{f(estimatedValue)}</div>
-                                    <p className="text-emerald-200 text-sm md:text-base">Range: {f(lowerBound)} - {f(upperBound)}</p>
+                                    <div className="text-4xl md:text-5xl font-extrabold tracking-tight mb-2">{formatPrice(estimatedValue)}</div>
+                                    <p className="text-emerald-200 text-sm md:text-base flex flex-wrap items-center justify-center gap-2">
+                                        <span>Range: {formatPrice(lowerBound)} - {formatPrice(upperBound)}</span>
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-bold uppercase tracking-wide ${confidence.label === 'High' ? 'bg-white text-emerald-700' : confidence.label === 'Medium' ? 'bg-amber-100 text-amber-800' : 'bg-red-100 text-red-800'}`}>{confidence.label} confidence</span>
+                                    </p>
+                                    <p className="text-emerald-100 text-xs mt-3 leading-relaxed">{confidence.explanation}</p>
+                                    {original && <p className="text-emerald-200 text-xs mt-2">Adjusted from {original.estimatedValue > 0 ? formatPrice(original.estimatedValue) : 'no estimate'} using your details</p>}
                                 </>
                             ) : (
-                                <div className="text-white"><div className="text-3xl font-bold mb-2">Valuation Unavailable</div><p className="text-emerald-200 text-sm">Insufficient historical sales data for this specific property.</p></div>
+                                <div className="text-white"><div className="text-3xl font-bold mb-2">Valuation Unavailable</div><p className="text-emerald-200 text-sm">{gap ? `${gap.explanation} No floor area is recorded for this home either, so there's nothing reliable to base an estimate on.` : 'Insufficient historical sales data for this specific property.'}</p></div>
                             )}
                         </div>
                         {/* --- NEW DISCLAIMER FOR SQM VALUATIONS --- */}
                         {method === 'sqm' && (
                             <div className="mt-6 max-w-lg mx-auto p-4 bg-emerald-800/50 rounded-lg border border-emerald-500/30 text-emerald-50 text-xs md:text-sm text-left">
                                 <p className="flex gap-2 items-start"><Info size={16} className="shrink-0 mt-0.5"/> 
-                                    <span>Even without a sold price, your <strong>{selectedProp.sqMeters}m² {selectedProp.type}</strong> in this postcode is likely worth between <strong>{f(lowerBound)}</strong> and <strong>{f(upperBound)}</strong> based on the average price per sq meter in <strong>{region}</strong>.</span>
+                                    <span>{gap && `${gap.explanation} `}Even without a sold price, your <strong>{selectedProp.sqMeters}m² {selectedProp.type}</strong> in this postcode is likely worth between <strong>{formatPrice(lowerBound)}</strong> and <strong>{formatPrice(upperBound)}</strong> based on the average price per sq meter in <strong>{region}</strong>.{epcNote(epcAdjustment, region)}</span>
+                                </p>
+                            </div>
+                        )}
+                        {method === 'comparables' && (
+                            <div className="mt-6 max-w-lg mx-auto p-4 bg-emerald-800/50 rounded-lg border border-emerald-500/30 text-emerald-50 text-xs md:text-sm text-left">
+                                <p className="flex gap-2 items-start"><Info size={16} className="shrink-0 mt-0.5"/> 
+                                    <span>Based on <strong>{comparables.length} similar {selectedProp.type}</strong> sales in {selectedProp.postcode}, indexed to today at a weighted median of <strong>{formatPrice(pricePerSqm)}/m²</strong>.{selectedProp.lastSoldPrice > 0 && ' This home\'s own last sale is too old to rely on alone.'}{epcNote(epcAdjustment, region)}</span>
                                 </p>
                             </div>
                         )}
                     </div>
                     <div className="grid grid-cols-1 md:grid-cols-3 divide-y md:divide-y-0 md:divide-x divide-gray-100 bg-white">
-                        <div className="p-6 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Market Growth</div><div className="text-2xl font-bold text-emerald-600">{method === 'hpi' ? `+${Math.round((growthFactor - 1) * 100)}%` : <span className="text-gray-400 text-lg font-normal">N/A</span>}</div><div className="text-xs text-gray-400 mt-1">{method === 'hpi' && selectedProp.lastSoldDate ? `Since purchase in ${new Date(selectedProp.lastSoldDate).getFullYear()}` : 'Valuation based on size'}</div></div>
-                        <div className="p-6 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Last Sold</div><div className="text-2xl font-bold text-gray-900">{selectedProp.lastSoldPrice > 0 ? f(selectedProp.lastSoldPrice) : <span className="text-gray-400 text-lg font-normal">Unknown</span>}</div><div className="text-xs text-gray-400 mt-1">{selectedProp.lastSoldDate ? `Recorded on ${new Date(selectedProp.lastSoldDate).toLocaleDateString('en-GB')}` : 'No date recorded'}</div></div>
+                        <div className="p-6 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Market Growth</div><div className={`text-2xl font-bold ${growthFactor >= 1 ? 'text-emerald-600' : 'text-red-600'}`}>{growthFactor > 0 ? formatChange(growthFactor - 1) : <span className="text-gray-400 text-lg font-normal">N/A</span>}</div><div className="text-xs text-gray-400 mt-1">{method === 'hpi' && selectedProp.lastSoldDate ? `Since purchase in ${new Date(selectedProp.lastSoldDate).getFullYear()} (${HPI_APPROXIMATE ? 'approximate ' : ''}${region} index to ${monthKeyToDate(indexMonth).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' })})` : method === 'comparables' ? (growthFactor > 0 ? `Since purchase in ${new Date(selectedProp.lastSoldDate).getFullYear()}, from comparables` : 'Valuation based on comparables') : 'Valuation based on size'}</div></div>
+                        <div className="p-6 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Last Sold</div><div className="text-2xl font-bold text-gray-900">{selectedProp.lastSoldPrice > 0 ? formatPrice(selectedProp.lastSoldPrice) : <span className="text-gray-400 text-lg font-normal">Unknown</span>}</div><div className="text-xs text-gray-400 mt-1">{selectedProp.lastSoldDate ? `Recorded on ${new Date(selectedProp.lastSoldDate).toLocaleDateString('en-GB')}` : 'No date recorded'}</div></div>
                         <div className="p-6 text-center"><div className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-1">Property Size</div><div className="text-2xl font-bold text-gray-900">{selectedProp.sqMeters} m²</div><div className="text-xs text-gray-400 mt-1">{selectedProp.type} • EPC {selectedProp.epc}</div></div>
                     </div>
+                    <ValueChart property={selectedProp} region={region} valuation={valuation} />
+                    <AdjustmentsPanel property={selectedProp} adjustments={adjustments} setAdjustments={setAdjustments} valuation={valuation} />
+                    {estimatedValue > 0 && <RetrofitPanel property={applyCorrections(selectedProp, adjustments)} valuation={valuation} />}
+                    {estimatedValue > 0 && <FinancePanel property={selectedProp} region={region} valuation={valuation} />}
+                    {estimatedValue > 0 && <ReportDownloads property={selectedProp} region={region} valuation={valuation} />}
+                    {method === 'comparables' && (
+                        <div className="p-6 md:p-8 border-t border-gray-100">
+                            <h3 className="font-bold text-gray-900 mb-1">Comparable Sales Used</h3>
+                            <p className="text-sm text-gray-500 mb-4">Each sale is adjusted to today's prices with {indexName(region)}.</p>
+                            <div className="divide-y divide-gray-100 border border-gray-100 rounded-xl overflow-hidden">
+                                {comparables.map((c) => (
+                                    <button key={c.id} onClick={() => backToList(c.id)} className="w-full text-left px-4 py-3 hover:bg-emerald-50 transition-colors flex justify-between items-center gap-4 group">
+                                        <div className="min-w-0"><span className="font-medium text-gray-800 block truncate group-hover:text-emerald-700">{c.address}</span><span className="text-xs text-gray-400">{c.sqMeters}m² • Sold {formatPrice(c.lastSoldPrice)} in {new Date(c.lastSoldDate).getFullYear()}</span></div>
+                                        <div className="text-right shrink-0"><span className="font-semibold text-gray-900 block">{formatPrice(c.indexedPrice)}</span><span className="text-xs text-gray-400">{formatPrice(c.pricePerSqm)}/m² today</span></div>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
                     <div className="p-8 bg-gray-50 text-center border-t border-gray-100">
-                        <button onClick={() => setStep(1)} className="text-emerald-600 font-medium hover:underline">Value Another Property</button>
+                        <Link to="/" className="text-emerald-600 font-medium hover:underline">Value Another Property</Link>
+                        <span className="mx-3 text-gray-300">|</span>
+                        <Link to={buildPath('saved')} className="text-emerald-600 font-medium hover:underline">My Valuations</Link>
                     </div>
                 </div>
             </div>
@@ -387,15 +1499,17 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-white font-sans text-slate-900">
-      <Header setPage={(p) => { setPage(p); setStep(1); }} />
+      <Header />
       <main className="p-4 md:p-8">{renderContent()}</main>
       <footer className="border-t py-10 mt-20 bg-gray-50 text-center text-gray-400 text-sm">
         <p>© 2025 GetMyHouseValue.co.uk. Built with Open Government Data.</p>
         <div className="mt-4 flex justify-center gap-6">
-            <button onClick={() => { setPage('how-it-works'); setStep(1); }} className="hover:text-gray-600">Methodology</button>
-            <button onClick={() => { setPage('privacy'); setStep(1); }} className="hover:text-gray-600">Privacy Policy</button>
+            <Link to={buildPath('how-it-works')} className="hover:text-gray-600">Methodology</Link>
+            <Link to={buildPath('privacy')} className="hover:text-gray-600">Privacy Policy</Link>
+            <button onClick={() => setCookieSettingsOpen(true)} className="hover:text-gray-600">Cookie settings</button>
         </div>
       </footer>
+      <CookieConsent settingsOpen={cookieSettingsOpen} onCloseSettings={() => setCookieSettingsOpen(false)} />
     </div>
   );
 }
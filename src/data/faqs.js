@@ -0,0 +1,21 @@
+import { HPI_APPROXIMATE } from '../lib/hpi';
+
+// Home page FAQs. Rendered on the page and emitted as FAQPage JSON-LD, so keep answers
+// as plain text; **double asterisks** mark bold on the page and are stripped for JSON-LD.
+export const FAQS = [
+  { icon: 'info', question: "Where does the data come from?", answer: "We use official sold price data from the **HM Land Registry** and cross-reference it with property specifications from the **EPC Register**." },
+  { icon: 'alert', question: "Does this include my renovation?", answer: "Not automatically. This is a quantitative model based on market movements since your last purchase. Use **Adjust Property Details** on your result to add an extension, loft conversion or change in condition and see an indicative adjusted figure." },
+  { icon: 'check', question: "Is this service really free?", answer: "Yes, 100% free. We believe open government data should be accessible to everyone without needing to hand over your email address or phone number to estate agents." },
+  { icon: 'pin', question: "Why is my valuation unavailable?", answer: "If your property hasn't been sold since 1995, we can show you your property details but cannot calculate a growth-based valuation." },
+  {
+    icon: 'help',
+    question: "How often is the data updated?",
+    answer: `Sold prices and EPC records are looked up when you search, and HM Land Registry adds new sales monthly. Index figures are bundled with the site and refreshed when a new month is published.${HPI_APPROXIMATE ? " The index figures shown at the moment are **approximate** development values, not the published UK House Price Index." : ''}`
+  },
+  { icon: 'pin', question: "Can you value homes in Scotland or Northern Ireland?", answer: "Not yet. Sold prices there aren't published as open data by **Registers of Scotland** or **Land & Property Services**, and the EPC records we use for floor areas only cover England and Wales, so we have nothing to value an individual home from. Searching a Scottish or Northern Irish postcode shows regional index figures for the nation only. We can't value homes in Jersey, Guernsey or the Isle of Man, which keep separate records." },
+  { icon: 'help', question: "Can I value commercial property?", answer: "Currently, our tool is optimized for residential properties (houses and flats) in England and Wales. Commercial property valuation requires different data sets not yet integrated into this tool." },
+  { icon: 'help', question: "My property size looks wrong?", answer: "Property sizes are pulled from the Energy Performance Certificate (EPC) register. If your home has been extended since its last EPC assessment, the recorded size might be outdated." },
+  { icon: 'help', question: "Do you share my data?", answer: "We do not sell your personal data or search history. The postcode you enter is used solely to retrieve the property information and is not stored for marketing purposes." }
+];
+
+export const stripMarkup = (text) => text.replace(/\*\*/g, '');
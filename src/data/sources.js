@@ -0,0 +1,70 @@
+import { HPI_APPROXIMATE } from '../lib/hpi';
+import { NATIONS } from '../lib/nations';
+
+// Open datasets behind every valuation. Listed on the Data Sources page and printed on
+// downloaded reports, so the attribution notices are maintained in one place.
+// `nations` lists where each dataset applies; reports only credit the ones used.
+const RECORD_SOURCES = [
+  {
+    icon: 'registry',
+    name: "HM Land Registry",
+    url: "https://use-land-property-data.service.gov.uk/datasets/ppd",
+    usage: "Used for historical sold prices and transaction dates in England and Wales.",
+    attribution: "Contains HM Land Registry data © Crown copyright and database right 2021.",
+    nations: ['england', 'wales']
+  },
+  {
+    icon: 'epc',
+    name: "EPC Register",
+    url: "https://epc.opendatacommunities.org/",
+    usage: "Used to retrieve property square footage and current energy efficiency ratings in England and Wales.",
+    attribution: "Sourced from Open Data Communities.",
+    nations: ['england', 'wales']
+  }
+];
+
+// The publishers of the House Price Index, credited only once hpi.json holds the published figures
+const INDEX_SOURCES = [
+  {
+    icon: 'registry',
+    name: "Registers of Scotland",
+    url: "https://www.ros.gov.uk/data-and-statistics/house-price-statistics",
+    usage: "Compiles the Scottish figures in the House Price Index. Individual sold prices in Scotland aren't open data, so Scottish postcodes get regional index figures only.",
+    attribution: "Contains Registers of Scotland data © Crown copyright.",
+    nations: ['scotland']
+  },
+  {
+    icon: 'registry',
+    name: "Land & Property Services NI",
+    url: "https://www.finance-ni.gov.uk/topics/statistics-and-research/northern-ireland-house-price-index",
+    usage: "Publishes the Northern Ireland House Price Index used for Northern Ireland's figures. Individual sold prices aren't published.",
+    attribution: "Contains Land & Property Services data © Crown copyright.",
+    nations: ['northernIreland']
+  },
+  {
+    icon: 'ons',
+    name: "ONS Statistics",
+    url: "https://landregistry.data.gov.uk/app/ukhpi",
+    usage: "Used for the UK House Price Index (HPI) to calculate regional growth percentages over time.",
+    attribution: "UK House Price Index © Crown copyright, published by HM Land Registry and the Office for National Statistics.",
+    nations: Object.keys(NATIONS)
+  }
+];
+
+const APPROXIMATE_INDEX = {
+  icon: 'ons',
+  name: "Approximate price index",
+  url: "https://www.gov.uk/government/statistical-data-sets/uk-house-price-index-data-downloads",
+  usage: "Regional growth figures currently come from approximate development values, not the published UK House Price Index, which will replace them.",
+  attribution: "These are not official statistics.",
+  nations: Object.keys(NATIONS)
+};
+
+export const DATA_SOURCES = [...RECORD_SOURCES, ...(HPI_APPROXIMATE ? [APPROXIMATE_INDEX] : INDEX_SOURCES)];
+
+export const sourcesForNation = (nation) => DATA_SOURCES.filter((s) => s.nations.includes(nation));
+
+// "England and Wales"
+export const describeCoverage = (source) => source.nations.map((n) => NATIONS[n].name).join(', ').replace(/, ([^,]*)$/, ' and $1');
+
+export const OGL_NOTICE = "Public sector information licensed under the Open Government Licence v3.0.";
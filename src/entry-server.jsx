@@ -0,0 +1,21 @@
+import React from 'react'
+import { renderToString } from 'react-dom/server'
+import App from './App.jsx'
+import { ServerPathContext, getRouteMeta, matchRoute } from './lib/router'
+import { getStructuredData } from './lib/seo'
+
+export { SITE_URL } from './lib/router'
+export { buildLlmsTxt, buildSitemap, getPrerenderPaths } from './lib/seo'
+
+// Used at build time by scripts/vite-plugin-prerender.js
+export const render = (path) => {
+  const route = { ...matchRoute(path), pathname: path };
+  const html = renderToString(
+    <React.StrictMode>
+      <ServerPathContext.Provider value={path}>
+        <App />
+      </ServerPathContext.Provider>
+    </React.StrictMode>,
+  );
+  return { html, meta: getRouteMeta(route), structuredData: getStructuredData(route) };
+}
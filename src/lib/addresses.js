@@ -0,0 +1,70 @@
+// --- ADDRESS LIST ---
+// Step 2 of a search: narrowing a postcode's properties down to the user's own home.
+// Flats are kept together under their building so a block of 200 reads as one entry.
+
+export const PROPERTY_SORTS = [
+  { value: 'address', label: 'Address' },
+  { value: 'lastSold', label: 'Recently sold' },
+  { value: 'size', label: 'Largest first' }
+];
+
+export const PAGE_SIZE = 25;
+
+const UNIT_PATTERN = /^(flat|apartment|apt|unit|maisonette|studio)\.?\s+([0-9]+[A-Z]?|[A-Z])\b[,\s]*(.*)$/i;
+
+// "Flat 3, Park House, 12 High Street" -> { unit: "3", building: "Park House, 12 High Street" }
+export const parseAddress = (address) => {
+  const match = (address || '').trim().match(UNIT_PATTERN);
+  if (!match || !match[3]) return { unit: null, building: null };
+  return { unit: match[2].toUpperCase(), building: match[3].trim() };
+};
+
+const collator = new Intl.Collator('en-GB', { numeric: true, sensitivity: 'base' });
+
+const COMPARATORS = {
+  // Buildings sort by their street address, then flats by number within them
+  address: (a, b) => collator.compare(a.building || a.property.address, b.building || b.property.address) || collator.compare(a.unit || '', b.unit || ''),
+  // Newest sale first; never-sold homes go last
+  lastSold: (a, b) => (Date.parse(b.property.lastSoldDate) || 0) - (Date.parse(a.property.lastSoldDate) || 0),
+  size: (a, b) => (b.property.sqMeters || 0) - (a.property.sqMeters || 0)
+};
+
+// Every word of the query must appear; numbers match whole house numbers, so "12" doesn't find "112"
+export const matchesQuery = (address, query) => {
+  const terms = (query || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  const text = (address || '').toLowerCase();
+  return terms.every((term) => (/^[0-9]+[a-z]?$/.test(term)
+    ? new RegExp(`(^|[^0-9a-z])${term}($|[^0-9a-z])`).test(text)
+    : text.includes(term)));
+};
+
+// Filtered and sorted rows, each flat tagged with its building when the building has more than one
+export const arrangeProperties = (properties, { query = '', sort = 'address' } = {}) => {
+  const rows = properties
+    .filter((p) => matchesQuery(p.address, query))
+    .map((property) => ({ property, ...parseAddress(property.address) }))
+    .sort(COMPARATORS[sort] || COMPARATORS.address);
+
+  // Pull each building's flats up to where the building first appears in the sort order
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = row.building ? row.building.toLowerCase() : `id:${row.property.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.values()].flatMap((group) => group.map((row) => ({
+    property: row.property,
+    building: group.length > 1 ? row.building : null
+  })));
+};
+
+export const pageCount = (rows) => Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+
+export const getPage = (rows, page) => rows.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+// 1-based page holding a property, so "Back to List" lands where the user left off
+export const pageOf = (rows, id) => {
+  const index = rows.findIndex((row) => String(row.property.id) === String(id));
+  return index < 0 ? 1 : Math.floor(index / PAGE_SIZE) + 1;
+};
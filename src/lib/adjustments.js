@@ -0,0 +1,86 @@
+import { normaliseBand } from './epc';
+import { toNumber } from './helpers';
+
+// --- WHAT-IF ADJUSTMENTS ---
+// Homeowner corrections (floor area, type, bedrooms, EPC band) change the facts the strategies
+// value; improvements since the last sale are then layered on top as separate line items.
+
+export const CONDITION_OPTIONS = [
+  { value: 'needs-work', label: 'Needs work', uplift: -0.1 },
+  { value: 'average', label: 'Average', uplift: 0 },
+  { value: 'good', label: 'Good', uplift: 0.03 },
+  { value: 'refurbished', label: 'Recently refurbished', uplift: 0.06 }
+];
+
+export const GARDEN_OPTIONS = [
+  { value: '', label: 'As recorded', uplift: 0 },
+  { value: 'none', label: 'No garden', uplift: -0.04 },
+  { value: 'shared', label: 'Shared / communal', uplift: 0 },
+  { value: 'private', label: 'Private garden', uplift: 0.03 }
+];
+
+export const PROPERTY_TYPE_OPTIONS = ['Detached', 'Semi-Detached', 'Terraced', 'Flat'];
+
+const LOFT_UPLIFT = 0.08;
+const PARKING_UPLIFT = 0.03;
+const EXTENSION_RETURN = 0.8; // Extensions rarely return their full £/m² at sale
+
+// Used to infer a floor area from bedrooms when there's none to value from; bedrooms
+// do nothing once a floor area is known, so the form only asks for them without one
+const TYPICAL_SQM_BY_BEDROOMS = { 1: 50, 2: 70, 3: 90, 4: 120, 5: 150 };
+export const MAX_BEDROOMS = 5;
+
+export const defaultAdjustments = (property) => ({
+  sqMeters: property.sqMeters > 0 ? property.sqMeters : '',
+  bedrooms: '',
+  type: property.type || '',
+  epc: normaliseBand(property.epc) || '',
+  extensionSqm: '',
+  loftConversion: false,
+  condition: 'average',
+  parking: false,
+  garden: ''
+});
+
+export const hasAdjustments = (property, adjustments) => {
+  if (!adjustments) return false;
+  const defaults = defaultAdjustments(property);
+  return Object.keys(defaults).some((key) => String(adjustments[key]) !== String(defaults[key]));
+};
+
+// The property as the homeowner describes it
+export const applyCorrections = (property, adjustments) => {
+  const bedrooms = Math.min(MAX_BEDROOMS, Math.round(toNumber(adjustments.bedrooms)));
+  const sqMeters = toNumber(adjustments.sqMeters) || (bedrooms ? TYPICAL_SQM_BY_BEDROOMS[bedrooms] : 0);
+  return {
+    ...property,
+    sqMeters: sqMeters || property.sqMeters,
+    type: adjustments.type || property.type,
+    epc: normaliseBand(adjustments.epc) || property.epc
+  };
+};
+
+// Improvement line items applied to a corrected value, in order, each compounding on the last
+export const improvementItems = (adjustments, value, pricePerSqm) => {
+  const items = [];
+  let running = value;
+  const push = (key, label, amount) => {
+    if (!amount) return;
+    items.push({ key, label, amount: Math.round(amount) });
+    running += amount;
+  };
+
+  const extension = toNumber(adjustments.extensionSqm);
+  if (extension && pricePerSqm > 0) push('extension', `Extension (+${extension}m²)`, extension * pricePerSqm * EXTENSION_RETURN);
+  if (adjustments.loftConversion) push('loft', 'Loft conversion', running * LOFT_UPLIFT);
+
+  const condition = CONDITION_OPTIONS.find((o) => o.value === adjustments.condition);
+  if (condition?.uplift) push('condition', `Condition: ${condition.label}`, running * condition.uplift);
+
+  if (adjustments.parking) push('parking', 'Off-street parking', running * PARKING_UPLIFT);
+
+  const garden = GARDEN_OPTIONS.find((o) => o.value === adjustments.garden);
+  if (garden?.uplift) push('garden', garden.label, running * garden.uplift);
+
+  return items;
+};
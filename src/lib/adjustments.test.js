@@ -0,0 +1,22 @@
+import { describe, expect, it } from 'vitest';
+import { applyCorrections, defaultAdjustments, hasAdjustments } from './adjustments';
+import { calculateValuation } from './valuation';
+
+const property = { id: '1', address: "1 High Street", type: 'Semi-Detached', sqMeters: 90, epc: 'N/A' };
+
+describe('EPC band adjustment', () => {
+  it('starts from the recorded band, or blank when it is not a valid one', () => {
+    expect(defaultAdjustments({ ...property, epc: 'c' }).epc).toBe('C');
+    expect(defaultAdjustments(property).epc).toBe('');
+  });
+
+  it('corrects the band the valuation and retrofit figures use', () => {
+    const adjustments = { ...defaultAdjustments(property), epc: 'B' };
+    expect(hasAdjustments(property, adjustments)).toBe(true);
+    expect(applyCorrections(property, adjustments).epc).toBe('B');
+
+    const valuation = calculateValuation(property, "South East", [], adjustments);
+    expect(valuation.epcAdjustment.band).toBe('B');
+    expect(valuation.estimatedValue).toBeGreaterThan(valuation.original.estimatedValue);
+  });
+});
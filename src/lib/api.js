@@ -0,0 +1,204 @@
+import { sleep } from './helpers';
+import { regionKeyFromPostcode } from './hpi';
+import { NATIONS, findUnsupportedPlace, nationFromPostcode, placeFromPostcode, soldPriceGap } from './nations';
+
+// --- API CLIENT ---
+// One place for every network call: timeouts, retry with backoff (the Render backend
+// cold-starts in 30-60s), per-postcode caching and typed errors the UI can branch on.
+//
+// Configuration (Vite env):
+//   VITE_BACKEND_URL  - properties backend, defaults to the production Render service
+//   VITE_DEMO_MODE    - "true" serves MOCK_PROPERTIES instead of calling the APIs
+// Demo mode can also be switched on per visit with ?demo=1.
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://getmyhousevalue-backend.onrender.com";
+const POSTCODES_URL = "https://api.postcodes.io";
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 2000;
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const CACHE_PREFIX = 'gmhv:';
+
+export const isDemoMode = () => (
+  import.meta.env.VITE_DEMO_MODE === 'true' ||
+  (typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('demo') === '1')
+);
+
+export const MOCK_PROPERTIES = [
+  { id: '1', address: '10 Downing Street', city: 'London', postcode: 'SW1A 1AA', type: 'Terraced', sqMeters: 240, epc: 'C', lastSoldDate: '2005-06-15', lastSoldPrice: 4500000 },
+];
+
+// --- ERRORS ---
+export class ApiError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+export class InvalidPostcodeError extends ApiError {
+  constructor(postcode) { super(`"${postcode}" is not a valid UK postcode`, 'INVALID_POSTCODE', { postcode, outcodeOnly: isOutcode(postcode) }); }
+}
+
+// Outside the four UK nations, e.g. Jersey or an Irish Eircode
+export class UnsupportedPostcodeError extends ApiError {
+  constructor(postcode, place) { super(`${postcode} is a postcode for ${place.name}, which we don't cover`, 'UNSUPPORTED_POSTCODE', { postcode, place: place.name, placeKind: place.kind }); }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, details) { super(message, 'NOT_FOUND', details); }
+}
+
+export class BackendUnavailableError extends ApiError {
+  constructor(service, details) { super(`${service} is unavailable`, 'BACKEND_UNAVAILABLE', { service, ...details }); }
+}
+
+export class RateLimitedError extends ApiError {
+  constructor(service, retryAfter) { super(`Too many requests to ${service}`, 'RATE_LIMITED', { service, retryAfter }); }
+}
+
+// --- CACHE ---
+const memoryCache = new Map();
+
+const readCache = (key) => {
+  const hit = memoryCache.get(key);
+  if (hit && hit.expires > Date.now()) return hit.value;
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(CACHE_PREFIX + key));
+    if (stored && stored.expires > Date.now()) {
+      memoryCache.set(key, stored);
+      return stored.value;
+    }
+  } catch (e) { /* sessionStorage unavailable or corrupt: fall through to network */ }
+  return undefined;
+};
+
+const writeCache = (key, value) => {
+  const entry = { value, expires: Date.now() + CACHE_TTL_MS };
+  memoryCache.set(key, entry);
+  try { sessionStorage.setItem(CACHE_PREFIX + key, JSON.stringify(entry)); } catch (e) { /* quota or private mode */ }
+};
+
+// --- TRANSPORT ---
+
+const fetchWithTimeout = async (url, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const isRetryableStatus = (status) => status === 502 || status === 503 || status === 504;
+
+// Retries network failures, timeouts and gateway errors; everything else is returned to the caller
+const requestJson = async (url, { service, onRetry, retries = MAX_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetchWithTimeout(url, REQUEST_TIMEOUT_MS);
+    } catch (e) {
+      response = null;
+    }
+
+    if (response && response.status === 429) {
+      throw new RateLimitedError(service, parseInt(response.headers.get('Retry-After'), 10) || null);
+    }
+    if (response && !isRetryableStatus(response.status)) {
+      const body = await response.json().catch(() => null);
+      return { status: response.status, ok: response.ok, body };
+    }
+    if (attempt >= retries) {
+      throw new BackendUnavailableError(service, { status: response ? response.status : null });
+    }
+
+    const delay = BACKOFF_BASE_MS * 2 ** attempt;
+    if (onRetry) onRetry({ attempt: attempt + 1, delay, service });
+    await sleep(delay);
+  }
+};
+
+// --- POSTCODES ---
+// Royal Mail format rules: outward code A9, A99, AA9, AA99, A9A or AA9A; inward code 9AA.
+// Some letters never appear in certain positions (no Q, V or X as the first letter, for example).
+const POSTCODE_PATTERN = /^([A-PR-UWYZ][0-9][0-9A-HJKPS-UW]?|[A-PR-UWYZ][A-HK-Y][0-9][0-9ABEHMNPRV-Y]?) [0-9][ABD-HJLNP-UW-Z]{2}$/;
+const OUTCODE_PATTERN = /^([A-PR-UWYZ][0-9][0-9A-HJKPS-UW]?|[A-PR-UWYZ][A-HK-Y][0-9][0-9ABEHMNPRV-Y]?)$/;
+const AUTOCOMPLETE_LIMIT = 8;
+
+export const normalisePostcode = (input) => {
+  const compact = (input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.length > 3 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+};
+
+export const isValidPostcode = (input) => POSTCODE_PATTERN.test(normalisePostcode(input));
+
+// "SW1A" on its own is a district, not a full postcode; worth a more specific hint
+export const isOutcode = (input) => OUTCODE_PATTERN.test((input || '').toUpperCase().replace(/[^A-Z0-9]/g, ''));
+
+// Typeahead suggestions for a partial postcode. Never retried: a newer keystroke will ask again.
+export const autocompletePostcodes = async (partial) => {
+  const query = (partial || '').toUpperCase().replace(/[^A-Z0-9 ]/g, '').trim();
+  if (query.length < 2 || isDemoMode()) return [];
+
+  const cacheKey = `autocomplete:${query}`;
+  const cached = readCache(cacheKey);
+  if (cached) return cached;
+
+  const { status, body } = await requestJson(`${POSTCODES_URL}/postcodes/${encodeURIComponent(query)}/autocomplete?limit=${AUTOCOMPLETE_LIMIT}`, { service: 'postcodes.io', retries: 0 });
+  if (status !== 200) return [];
+
+  const suggestions = Array.isArray(body?.result) ? body.result : [];
+  writeCache(cacheKey, suggestions);
+  return suggestions;
+};
+
+export const getPostcodeDetails = async (inputPostcode, options = {}) => {
+  const postcode = normalisePostcode(inputPostcode);
+  const unsupported = findUnsupportedPlace(postcode);
+  if (unsupported) throw new UnsupportedPostcodeError(inputPostcode.trim().toUpperCase(), unsupported);
+  if (!isValidPostcode(postcode)) throw new InvalidPostcodeError(inputPostcode);
+
+  if (isDemoMode()) return { regionKey: "London", nation: 'england', formattedPostcode: postcode };
+
+  const cacheKey = `postcode:${postcode}`;
+  const cached = readCache(cacheKey);
+  if (cached && cached.nation) return cached; // Entries cached before nations were detected are looked up again
+
+  const { status, body } = await requestJson(`${POSTCODES_URL}/postcodes/${encodeURIComponent(postcode)}`, { service: 'postcodes.io', ...options });
+  if (status === 404) throw new NotFoundError(`We couldn't find ${postcode}`, { postcode });
+  if (status !== 200 || !body?.result) throw new BackendUnavailableError('postcodes.io', { status });
+
+  const nation = nationFromPostcode(body.result);
+  if (!nation) throw new UnsupportedPostcodeError(body.result.postcode, placeFromPostcode(body.result));
+
+  // Outside England the nation is its own HPI region, even when postcodes.io leaves `country` blank
+  const regionKey = nation === 'england' ? regionKeyFromPostcode(body.result) : NATIONS[nation].name;
+  const details = { regionKey, nation, formattedPostcode: body.result.postcode };
+  writeCache(cacheKey, details);
+  return details;
+};
+
+// --- PROPERTIES ---
+// Pass the postcode's `nation` so a miss in Scotland or Northern Ireland explains why
+export const fetchProperties = async (postcode, { nation, ...options } = {}) => {
+  if (isDemoMode()) return MOCK_PROPERTIES;
+
+  const cacheKey = `properties:${postcode}`;
+  const cached = readCache(cacheKey);
+  if (cached) return cached;
+
+  const { status, ok, body } = await requestJson(`${BACKEND_URL}/api/properties?postcode=${encodeURIComponent(postcode)}`, { service: 'Property data service', ...options });
+  if (status === 404) {
+    const gap = soldPriceGap(nation);
+    throw new NotFoundError(gap ? `No property records for ${postcode}: sold prices in ${gap.name} aren't available` : `No property records found for ${postcode}`, { postcode, nation: gap ? nation : null });
+  }
+  if (!ok || !Array.isArray(body)) throw new BackendUnavailableError('Property data service', { status });
+
+  writeCache(cacheKey, body);
+  return body;
+};
@@ -0,0 +1,32 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { NotFoundError, fetchProperties } from './api';
+
+const respond = (status, body = null) => vi.fn(async () => new Response(JSON.stringify(body), { status }));
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('fetchProperties', () => {
+  it('explains a miss in a nation without open sold prices', async () => {
+    const fetch = respond(404);
+    vi.stubGlobal('fetch', fetch);
+    const error = await fetchProperties('EH1 1YZ', { nation: 'scotland' }).catch((e) => e);
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toMatchObject({ code: 'NOT_FOUND', postcode: 'EH1 1YZ', nation: 'scotland' });
+    expect(error.message).toMatch(/sold prices in Scotland aren't available/);
+    expect(fetch).toHaveBeenCalledTimes(1); // A 404 is an answer, not something to retry
+  });
+
+  it('reports a plain miss in England and Wales without a nation', async () => {
+    vi.stubGlobal('fetch', respond(404));
+    const error = await fetchProperties('CF10 1AA', { nation: 'wales' }).catch((e) => e);
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.nation).toBeNull();
+    expect(error.message).toBe("No property records found for CF10 1AA");
+  });
+
+  it('returns the records the backend finds', async () => {
+    const records = [{ id: '1', address: "1 High Street", postcode: 'M1 1AE' }];
+    vi.stubGlobal('fetch', respond(200, records));
+    await expect(fetchProperties('M1 1AE', { nation: 'england' })).resolves.toEqual(records);
+  });
+});
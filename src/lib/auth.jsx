@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+
+// --- AGENT AUTHENTICATION ---
+// The agent portal talks to a provider, never to an identity service directly. A provider is
+//   { name, getSession(), signIn({ email, password }), signOut() }
+// where the methods are async and a session is { email, name } or null. Register a real one
+// with registerAuthProvider() and select it with VITE_AUTH_PROVIDER. "local" is only available,
+// and the default, in development; a production build without a provider shows the portal as unavailable.
+
+const SESSION_KEY = 'gmhv:agent-session';
+const AUTH_EVENT = 'gmhv:auth';
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Development stand-in: any well-formed email signs in, the session lives in localStorage.
+// It checks nothing, so production builds must register a real provider.
+export const createLocalAuthProvider = () => ({
+  name: 'local',
+  getSession: async () => {
+    try { return JSON.parse(localStorage.getItem(SESSION_KEY)); } catch (e) { return null; }
+  },
+  signIn: async ({ email, password }) => {
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email || '')) throw new AuthError('Enter a valid email address.');
+    if (!password) throw new AuthError('Enter your password.');
+    const session = { email, name: email.split('@')[0] };
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    return session;
+  },
+  signOut: async () => { localStorage.removeItem(SESSION_KEY); }
+});
+
+const PROVIDERS = import.meta.env.DEV ? { local: createLocalAuthProvider } : {};
+let provider; // undefined until first asked for; null when none is configured
+
+export const registerAuthProvider = (name, factory) => {
+  PROVIDERS[name] = factory;
+  provider = undefined;
+};
+
+// The configured provider, or null when agent sign-in isn't available in this build
+export const getAuthProvider = () => {
+  if (provider === undefined) {
+    const factory = PROVIDERS[import.meta.env.VITE_AUTH_PROVIDER || (import.meta.env.DEV ? 'local' : '')];
+    provider = factory ? factory() : null;
+  }
+  return provider;
+};
+
+const requireProvider = () => {
+  const current = getAuthProvider();
+  if (!current) throw new AuthError('Agent sign-in is not available at the moment.');
+  return current;
+};
+
+const notify = () => window.dispatchEvent(new Event(AUTH_EVENT));
+
+export const signIn = async (credentials) => {
+  const session = await requireProvider().signIn(credentials);
+  notify();
+  return session;
+};
+
+export const signOut = async () => {
+  await requireProvider().signOut();
+  notify();
+};
+
+// { session, ready, available } for the current agent; ready is false until the provider has answered
+export const useAuth = () => {
+  const [state, setState] = useState({ session: null, ready: false, available: false });
+
+  useEffect(() => {
+    let active = true;
+    const current = getAuthProvider();
+    const load = () => (current ? current.getSession() : Promise.resolve(null))
+      .catch(() => null)
+      .then((session) => { if (active) setState({ session, ready: true, available: Boolean(current) }); });
+    load();
+    window.addEventListener(AUTH_EVENT, load);
+    return () => {
+      active = false;
+      window.removeEventListener(AUTH_EVENT, load);
+    };
+  }, []);
+
+  return state;
+};
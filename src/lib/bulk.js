@@ -0,0 +1,212 @@
+import { RateLimitedError, fetchProperties, getPostcodeDetails, isValidPostcode, normalisePostcode } from './api';
+import { csvCell } from './export';
+import { sleep, toNumber } from './helpers';
+import { calculateValuation } from './valuation';
+
+// --- BULK VALUATIONS ---
+// Agent portal uploads: each CSV row goes through the same postcode -> properties -> valuation
+// pipeline as a single search, a few rows at a time so we don't flood the backend.
+
+export const MAX_ROWS = 500;
+export const DEFAULT_CONCURRENCY = 3;
+const RATE_LIMIT_WAIT_MS = 5000;
+
+// Accepted spellings for each input column, compared lowercase with punctuation removed
+const COLUMN_ALIASES = {
+  address: ['address', 'property', 'streetaddress', 'fulladdress'],
+  postcode: ['postcode', 'postalcode'],
+  lastSoldPrice: ['lastsoldprice', 'soldprice', 'price', 'purchaseprice'],
+  lastSoldDate: ['lastsolddate', 'solddate', 'date', 'purchasedate'],
+  sqMeters: ['floorarea', 'floorareasqm', 'flooraream2', 'sqm', 'sqmeters', 'area'],
+  type: ['type', 'propertytype']
+};
+
+export const TEMPLATE_CSV = "address,postcode,last_sold_price,last_sold_date,floor_area_sqm,property_type\r\n\"10 Downing Street, London\",SW1A 1AA,,,,\r\n,M1 1AE,250000,2018-05-01,85,Flat\r\n";
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\ufeff/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+};
+
+const columnKey = (header) => {
+  const compact = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return Object.keys(COLUMN_ALIASES).find((key) => COLUMN_ALIASES[key].includes(compact)) || null;
+};
+
+const POSTCODE_IN_TEXT = /\b([A-Z]{1,2}[0-9][A-Z0-9]?) ?([0-9][A-Z]{2})\b/i;
+
+// "2018-05-01" or UK-style "01/05/2018" (also with - or .) -> "2018-05-01"; anything else, or a
+// day that doesn't exist or hasn't happened yet, is null. Never left to `new Date`, which reads
+// 01/05/2018 as 5 January.
+export const parseSaleDate = (text) => {
+  const value = String(text || '').trim();
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const dmy = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const parts = iso ? [iso[1], iso[2], iso[3]] : dmy ? [dmy[3], dmy[2], dmy[1]] : null;
+  if (!parts) return null;
+  const [year, month, day] = parts.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || date > new Date()) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// { header, rows: [{ line, cells, input }], error } where input holds the recognised columns
+export const readBulkCsv = (text) => {
+  const [header = [], ...body] = parseCsv(text);
+  const keys = header.map(columnKey);
+  if (!keys.includes('address') && !keys.includes('postcode')) {
+    return { header, rows: [], error: 'The file needs an "address" or "postcode" column.' };
+  }
+  if (body.length > MAX_ROWS) {
+    return { header, rows: [], error: `The file has ${body.length} rows; the limit is ${MAX_ROWS} per upload.` };
+  }
+
+  const rows = body.map((cells, i) => {
+    const input = {};
+    keys.forEach((key, col) => { if (key && cells[col] && cells[col].trim()) input[key] = cells[col].trim(); });
+    if (!input.postcode && input.address) {
+      const match = input.address.match(POSTCODE_IN_TEXT);
+      if (match) input.postcode = `${match[1]} ${match[2]}`;
+    }
+    return { line: i + 2, cells, input };
+  });
+  return { header, rows, error: null };
+};
+
+const words = (text) => (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+const isNumberToken = (token) => /^[0-9]+[a-z]?$/.test(token);
+
+// The property whose address best matches the row: every house/flat number must appear, then most words
+export const matchProperty = (address, properties) => {
+  const rowWords = new Set(words(address));
+  let best = null;
+  let bestScore = 0;
+  properties.forEach((p) => {
+    const tokens = words(p.address);
+    if (tokens.length === 0 || !tokens.filter(isNumberToken).every((t) => rowWords.has(t))) return;
+    const score = tokens.filter((t) => rowWords.has(t)).length / tokens.length;
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  return bestScore >= 0.6 ? best : null;
+};
+
+// Values one row. `lookup` resolves a postcode to { details, properties }.
+export const valueRow = async ({ input }, lookup) => {
+  if (!input.postcode) throw new Error('No postcode found in this row.');
+  if (!isValidPostcode(input.postcode)) throw new Error(`"${input.postcode}" is not a valid UK postcode.`);
+  const soldDate = input.lastSoldDate ? parseSaleDate(input.lastSoldDate) : null;
+  if (input.lastSoldDate && !soldDate) throw new Error(`Unrecognised sale date "${input.lastSoldDate}". Use YYYY-MM-DD or DD/MM/YYYY.`);
+  if (toNumber(input.lastSoldPrice) && !soldDate) throw new Error('The last-sold price has no sale date. Add one so it can be indexed to today.');
+
+  const { details, properties } = await lookup(normalisePostcode(input.postcode));
+  const matched = input.address ? matchProperty(input.address, properties) : null;
+  if (input.address && !matched && !toNumber(input.lastSoldPrice) && !toNumber(input.sqMeters)) {
+    throw new Error(`No record matches this address in ${details.formattedPostcode}. Add a last-sold price or floor area to value it anyway.`);
+  }
+
+  // Figures in the upload take precedence over the records
+  const property = {
+    ...(matched || { id: `row-${input.address || input.postcode}`, address: input.address || details.formattedPostcode, postcode: details.formattedPostcode }),
+    ...(toNumber(input.lastSoldPrice) ? { lastSoldPrice: toNumber(input.lastSoldPrice), lastSoldDate: soldDate } : {}),
+    ...(toNumber(input.sqMeters) ? { sqMeters: toNumber(input.sqMeters) } : {}),
+    ...(input.type ? { type: input.type } : {})
+  };
+  const valuation = calculateValuation(property, details.regionKey, properties);
+  if (!(valuation.estimatedValue > 0)) throw new Error('Not enough data to value this property.');
+
+  return { property, matched: !!matched, regionKey: details.regionKey, valuation };
+};
+
+
+// Values every row, `concurrency` at a time. Results keep row order; onProgress gets each one as it lands.
+// Stops starting new rows once signal.aborted is set.
+export const runBulkValuations = async (rows, { concurrency = DEFAULT_CONCURRENCY, onProgress, signal } = {}) => {
+  const lookups = new Map(); // One postcode + properties request per postcode, shared by its rows
+  const lookup = (postcode) => {
+    if (!lookups.has(postcode)) {
+      const request = (async () => {
+        const details = await getPostcodeDetails(postcode);
+        const properties = await fetchProperties(details.formattedPostcode, { nation: details.nation });
+        return { details, properties };
+      })();
+      lookups.set(postcode, request);
+      request.catch(() => lookups.delete(postcode)); // Let a later row retry a failed postcode
+    }
+    return lookups.get(postcode);
+  };
+
+  const results = new Array(rows.length);
+  let next = 0;
+  let done = 0;
+
+  // A rate-limited row waits once and tries again before it's reported as failed
+  const settle = async (row) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return { status: 'done', ...(await valueRow(row, lookup)) };
+      } catch (err) {
+        if (err instanceof RateLimitedError && attempt === 0) {
+          await sleep((err.retryAfter || 0) * 1000 || RATE_LIMIT_WAIT_MS);
+          continue;
+        }
+        return { status: 'error', error: err.message };
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (next < rows.length && !(signal && signal.aborted)) {
+      const index = next++;
+      const result = await settle(rows[index]);
+      results[index] = result;
+      done++;
+      if (onProgress) onProgress({ index, result, done, total: rows.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker));
+  return results;
+};
+
+const ENRICHED_COLUMNS = ['matched_address', 'region', 'estimated_value', 'lower_bound', 'upper_bound', 'confidence', 'method', 'error'];
+
+// The uploaded columns as they were, plus our figures
+export const toEnrichedCsv = (header, rows, results) => [
+  [...header, ...ENRICHED_COLUMNS],
+  ...rows.map((row, i) => {
+    const r = results[i];
+    const figures = !r ? ['', '', '', '', '', '', '', 'Not run']
+      : r.status === 'error' ? ['', '', '', '', '', '', '', r.error]
+        : [r.matched ? r.property.address : '', r.regionKey, r.valuation.estimatedValue, r.valuation.lowerBound, r.valuation.upperBound, r.valuation.confidence ? r.valuation.confidence.label : '', r.valuation.method, ''];
+    return [...header.map((_, col) => row.cells[col] || ''), ...figures];
+  })
+].map((cells) => cells.map(csvCell).join(',')).join('\r\n');
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { parseSaleDate, readBulkCsv, valueRow } from './bulk';
+
+const lookup = async (postcode) => ({ details: { formattedPostcode: postcode, regionKey: "North West", nation: 'england' }, properties: [] });
+const rowFrom = (csv) => readBulkCsv(`address,postcode,price,date,sqm\r\n${csv}`).rows[0];
+
+describe('parseSaleDate', () => {
+  it('reads ISO and UK day-first dates', () => {
+    expect(parseSaleDate('2018-05-01')).toBe('2018-05-01');
+    expect(parseSaleDate('01/05/2018')).toBe('2018-05-01');
+    expect(parseSaleDate('15/05/2018')).toBe('2018-05-15');
+    expect(parseSaleDate('1.5.2018')).toBe('2018-05-01');
+  });
+
+  it('rejects other formats and days that do not exist', () => {
+    for (const text of ['05/15/2018', '31/02/2018', 'May 2018', '2018', '18/05/01', '']) expect(parseSaleDate(text)).toBeNull();
+  });
+});
+
+describe('readBulkCsv', () => {
+  it('maps column aliases and finds a postcode in the address', () => {
+    const { rows, error } = readBulkCsv('Full Address,Sold Price,Sold Date\r\n"1 High Street, Manchester M1 1AE","£250,000",01/05/2018\r\n');
+    expect(error).toBeNull();
+    expect(rows[0]).toMatchObject({ line: 2, input: { address: "1 High Street, Manchester M1 1AE", postcode: 'M1 1AE', lastSoldPrice: "£250,000", lastSoldDate: '01/05/2018' } });
+  });
+
+  it('needs an address or postcode column', () => {
+    expect(readBulkCsv('price,date\r\n250000,2018-05-01\r\n').error).toMatch(/"address" or "postcode"/);
+  });
+});
+
+describe('valueRow', () => {
+  it('indexes a UK-style sale date from its day, not its month', async () => {
+    const dayFirst = await valueRow(rowFrom(',M1 1AE,250000,01/05/2018,85'), lookup);
+    const iso = await valueRow(rowFrom(',M1 1AE,250000,2018-05-01,85'), lookup);
+    expect(dayFirst.property.lastSoldDate).toBe('2018-05-01');
+    expect(dayFirst.valuation.estimatedValue).toBe(iso.valuation.estimatedValue);
+  });
+
+  it('values a row whose day is past the 12th', async () => {
+    const { valuation } = await valueRow(rowFrom(',M1 1AE,250000,15/05/2018,85'), lookup);
+    expect(valuation.confidence.label).toBeTruthy();
+  });
+
+  it('rejects an unrecognised sale date', async () => {
+    await expect(valueRow(rowFrom(',M1 1AE,250000,May 2018,85'), lookup)).rejects.toThrow(/Unrecognised sale date "May 2018"/);
+  });
+
+  it('reports a sold price with no date instead of guessing one', async () => {
+    await expect(valueRow(rowFrom(',M1 1AE,250000,,85'), lookup)).rejects.toThrow(/no sale date/);
+  });
+
+  it('rejects an invalid postcode before looking it up', async () => {
+    await expect(valueRow(rowFrom(',NOT A POSTCODE,250000,2018-05-01,'), () => { throw new Error('looked up'); })).rejects.toThrow(/not a valid UK postcode/);
+  });
+});
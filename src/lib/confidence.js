@@ -0,0 +1,83 @@
+import { yearsSince } from './helpers';
+import { getVolatility, normalisePropertyType } from './hpi';
+
+// --- CONFIDENCE MODEL ---
+// Builds the ± range around an estimate from the evidence behind it. Each factor
+// adds (or removes) a share of value from the spread and carries a plain-English reason.
+
+const BASE_SPREAD = { hpi: 0.04, comparables: 0.06, sqm: 0.12 };
+const MIN_SPREAD = 0.03;
+const MAX_SPREAD = 0.25;
+
+// Spread at or below these thresholds earns the label
+const LABELS = [
+  { label: 'High', maxSpread: 0.07 },
+  { label: 'Medium', maxSpread: 0.13 },
+  { label: 'Low', maxSpread: Infinity }
+];
+
+// Detached homes vary most in spec and plot; flats carry lease and service-charge uncertainty
+const TYPE_SPREAD = { detached: 0.02, semi: 0, terraced: 0, flat: 0.01, all: 0.02 };
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+export const assessConfidence = ({ property, regionKey, method, comparables = [] }) => {
+  const factors = [];
+  const add = (impact, reason) => factors.push({ impact, reason });
+
+  // Sale age: the further back, the more the index has to carry. A date that can't be read
+  // counts as no date.
+  const saleAge = property.lastSoldDate ? yearsSince(property.lastSoldDate) : NaN;
+  const comparableAges = comparables.map((c) => yearsSince(c.lastSoldDate)).filter(Number.isFinite);
+  if (method === 'hpi' && Number.isFinite(saleAge)) {
+    const years = Math.round(saleAge);
+    if (saleAge < 3) add(-0.01, `the last sale was recent (${years < 1 ? 'under a year' : `${years} year${years === 1 ? '' : 's'}`} ago)`);
+    else add(Math.min(0.1, saleAge * 0.004), `the last sale was ${years} years ago`);
+  } else if (method === 'comparables' && comparableAges.length > 0) {
+    const age = median(comparableAges);
+    if (age > 5) add(Math.min(0.06, age * 0.003), `the comparable sales are ${Math.round(age)} years old on average`);
+  }
+
+  // Regional volatility: a noisy index makes any single adjustment less reliable
+  if (method === 'hpi' || method === 'comparables') {
+    const volatility = getVolatility(regionKey, property.type);
+    if (volatility > 0.06) add(Math.min(0.05, volatility * 0.5), `${regionKey} prices have been volatile (±${Math.round(volatility * 100)}% a year)`);
+    else if (volatility < 0.04) add(-0.01, `${regionKey} prices have moved steadily`);
+  }
+
+  // Comparable evidence: corroborates the estimate, or its absence leaves it unchecked
+  const count = comparables.length;
+  if (method === 'comparables') {
+    if (count < 5) add(0.02, `only ${count} comparable sales were found`);
+    else add(-0.01, `${count} comparable sales agree on price per m²`);
+  } else if (count >= 6) {
+    add(-0.01, `${count} similar homes have sold nearby`);
+  } else if (count === 0) {
+    add(0.02, 'there are no similar sales nearby to cross-check against');
+  }
+
+  // Floor area: without it the estimate can't be sense-checked against £/m²
+  if (!(property.sqMeters > 0)) add(0.03, 'no EPC floor area is recorded');
+
+  const type = normalisePropertyType(property.type);
+  const typeSpread = TYPE_SPREAD[type];
+  if (typeSpread > 0) add(typeSpread, type === 'all' ? 'the property type is unknown' : `${type === 'flat' ? 'flats' : `${type} homes`} vary more in price`);
+
+  const spread = clamp(factors.reduce((sum, f) => sum + f.impact, BASE_SPREAD[method] ?? MAX_SPREAD), MIN_SPREAD, MAX_SPREAD);
+  const { label } = LABELS.find((l) => spread <= l.maxSpread);
+
+  // Explain with the factors that pushed hardest in the direction of the label
+  const ranked = [...factors].sort((a, b) => (label === 'High' ? a.impact - b.impact : b.impact - a.impact));
+  const reasons = ranked.filter((f) => (label === 'High' ? f.impact < 0 : f.impact > 0)).slice(0, 2).map((f) => f.reason);
+  const explanation = reasons.length > 0
+    ? `${label} confidence because ${reasons.join(' and ')}.`
+    : `${label} confidence based on the available data.`;
+
+  return { spread, label, explanation, factors };
+};
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { assessConfidence } from './confidence';
+
+const property = { type: 'Semi-Detached', sqMeters: 90, lastSoldPrice: 250000 };
+
+describe('assessConfidence', () => {
+  it('treats an unreadable sale date like a missing one', () => {
+    const missing = assessConfidence({ property, regionKey: "South East", method: 'hpi' });
+    const unreadable = assessConfidence({ property: { ...property, lastSoldDate: '15/05/2018' }, regionKey: "South East", method: 'hpi' });
+    expect(unreadable).toEqual(missing);
+    expect(Number.isFinite(unreadable.spread)).toBe(true);
+  });
+
+  it('counts the age of a readable sale date', () => {
+    const { factors } = assessConfidence({ property: { ...property, lastSoldDate: '2005-05-15' }, regionKey: "South East", method: 'hpi' });
+    expect(factors.some((f) => /last sale was \d+ years ago/.test(f.reason))).toBe(true);
+  });
+
+  it('ignores comparables with unreadable dates when averaging their age', () => {
+    const comparables = [{ lastSoldDate: 'not a date' }, { lastSoldDate: '2010-01-01' }, { lastSoldDate: '2010-06-01' }];
+    const { label } = assessConfidence({ property, regionKey: "South East", method: 'comparables', comparables });
+    expect(['High', 'Medium', 'Low']).toContain(label);
+  });
+});
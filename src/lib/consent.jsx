@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+
+// --- COOKIE CONSENT ---
+// Nothing non-essential loads until the visitor opts in (UK GDPR / PECR). index.html sets
+// Google Consent Mode to "denied" before anything else runs; this module records the visitor's
+// choice, updates Consent Mode and injects the Google scripts for the categories they allow.
+// The banner, the preferences dialog and the Privacy Policy all render CONSENT_CATEGORIES.
+
+// Bump when the categories or the cookie policy change: everyone is asked again
+export const CONSENT_VERSION = 1;
+
+const STORAGE_KEY = 'gmhv:consent';
+const CONSENT_EVENT = 'gmhv:consent';
+
+const GA_MEASUREMENT_ID = "G-234W4LGPDF";
+const ADSENSE_CLIENT = "ca-pub-2170984395411054";
+
+export const CONSENT_CATEGORIES = [
+  {
+    id: 'necessary',
+    name: "Strictly necessary",
+    required: true,
+    description: "Keep the site working: your cookie choice, recent searches cached for this visit, valuations you save and agent sign-in. Stored in your browser only and never sent to us.",
+    cookies: [
+      { name: "gmhv:consent", provider: "GetMyHouseValue (local storage)", purpose: "Remembers your cookie choices", duration: "Until you change them" },
+      { name: "gmhv:postcode:*, gmhv:properties:*, gmhv:autocomplete:*", provider: "GetMyHouseValue (session storage)", purpose: "Caches search results so going back doesn't search again", duration: "30 minutes, or until the tab closes" },
+      { name: "gmhv:saved-valuations", provider: "GetMyHouseValue (local storage)", purpose: "Valuations you choose to save", duration: "Until you remove them" },
+      { name: "gmhv:agent-session", provider: "GetMyHouseValue (local storage)", purpose: "Keeps agents signed in to the Agent Portal", duration: "Until they sign out" }
+    ]
+  },
+  {
+    id: 'analytics',
+    name: "Analytics",
+    description: "Google Analytics tells us how many people visit and which pages they use, so we can improve the site. The data is aggregated and not used to identify you.",
+    consentMode: ['analytics_storage'],
+    cookies: [
+      { name: "_ga", provider: "Google Analytics", purpose: "Distinguishes one visitor from another", duration: "2 years" },
+      { name: `_ga_${GA_MEASUREMENT_ID.slice(2)}`, provider: "Google Analytics", purpose: "Keeps track of the current visit", duration: "2 years" }
+    ]
+  },
+  {
+    id: 'advertising',
+    name: "Advertising",
+    description: "Google AdSense shows adverts that help keep this service free, and measures how they perform. Google may use these cookies to personalise adverts across other websites.",
+    consentMode: ['ad_storage', 'ad_user_data', 'ad_personalization'],
+    cookies: [
+      { name: "__gads, __gpi", provider: "Google AdSense", purpose: "Serve adverts and limit how often you see each one", duration: "13 months" },
+      { name: "IDE", provider: "Google (doubleclick.net)", purpose: "Advert personalisation and measurement", duration: "13 months" }
+    ]
+  }
+];
+
+let memoryConsent = null; // Stands in when storage is blocked, so the banner doesn't return on every page
+
+const OPTIONAL_CATEGORIES = CONSENT_CATEGORIES.filter((c) => !c.required).map((c) => c.id);
+
+export const allChoices = (granted) => Object.fromEntries(OPTIONAL_CATEGORIES.map((id) => [id, granted]));
+
+// { version, choices: { analytics, advertising }, updatedAt }, or null if never given or out of date
+export const getConsent = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.version === CONSENT_VERSION) return stored;
+  } catch (e) { /* storage blocked or corrupt */ }
+  return memoryConsent;
+};
+
+// --- Google tags ---
+const gtag = (...args) => {
+  window.dataLayer = window.dataLayer || [];
+  // gtag.js only reads Arguments objects from the dataLayer, not arrays
+  if (!window.gtag) window.gtag = function () { window.dataLayer.push(arguments); };
+  window.gtag(...args);
+};
+
+let analyticsConfigured = false;
+
+const loadScript = (src, attrs = {}) => {
+  if (document.querySelector(`script[src="${src}"]`)) return;
+  const script = document.createElement('script');
+  script.async = true;
+  script.src = src;
+  Object.entries(attrs).forEach(([key, value]) => script.setAttribute(key, value));
+  document.head.appendChild(script);
+};
+
+// Scripts can't be unloaded, but Consent Mode stops them writing cookies; remove the ones already set
+const clearCookies = (prefixes) => {
+  const host = window.location.hostname;
+  const domains = ['', host, `.${host}`, `.${host.split('.').slice(-3).join('.')}`];
+  document.cookie.split(';').map((c) => c.split('=')[0].trim())
+    .filter((name) => prefixes.some((prefix) => name.startsWith(prefix)))
+    .forEach((name) => domains.forEach((domain) => {
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+    }));
+};
+
+const applyConsent = (choices) => {
+  const modes = {};
+  CONSENT_CATEGORIES.filter((c) => c.consentMode).forEach((c) => c.consentMode.forEach((mode) => {
+    modes[mode] = choices[c.id] ? 'granted' : 'denied';
+  }));
+  gtag('consent', 'update', modes);
+
+  if (choices.analytics) {
+    loadScript(`https://www.googletagmanager.com/gtag/js?id=${GA_MEASUREMENT_ID}`);
+    if (!analyticsConfigured) gtag('config', GA_MEASUREMENT_ID);
+    analyticsConfigured = true;
+  } else {
+    clearCookies(['_ga']);
+  }
+  if (choices.advertising) {
+    loadScript(`https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=${ADSENSE_CLIENT}`, { crossorigin: 'anonymous' });
+  } else {
+    clearCookies(['__gads', '__gpi']);
+  }
+};
+
+// Called once at startup: returning visitors get the tags they already agreed to
+export const initConsent = () => {
+  const consent = getConsent();
+  if (consent) applyConsent(consent.choices);
+};
+
+export const saveConsent = (choices) => {
+  const consent = { version: CONSENT_VERSION, choices: { ...allChoices(false), ...choices }, updatedAt: new Date().toISOString() };
+  memoryConsent = consent;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+  } catch (e) { /* storage blocked: the choice applies to this page view only */ }
+  applyConsent(consent.choices);
+  window.dispatchEvent(new Event(CONSENT_EVENT));
+  return consent;
+};
+
+// { consent, ready }; ready is false until read on the client, so prerendered HTML never includes the banner
+export const useConsent = () => {
+  const [state, setState] = useState({ consent: null, ready: false });
+
+  useEffect(() => {
+    const load = () => setState({ consent: getConsent(), ready: true });
+    load();
+    window.addEventListener(CONSENT_EVENT, load);
+    return () => window.removeEventListener(CONSENT_EVENT, load);
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,23 @@
+import OUTCODES from '../data/outcodes.json';
+import { HPI_APPROXIMATE } from './hpi';
+
+// --- POSTCODE DISTRICTS ---
+// Outcodes with a landing page, e.g. "SW1A" -> { outcode, name, region }. The full list is
+// generated from the ONS postcode lookup with `npm run data:outcodes`.
+
+export const DISTRICTS = Object.entries(OUTCODES.districts).map(([outcode, info]) => ({ outcode, ...info }));
+
+// Landing pages are only prerendered, linked and given structured data once every district is
+// listed and their figures come from the published index. Until then they still render in the browser.
+export const DISTRICTS_PUBLISHED = !OUTCODES.sample && !HPI_APPROXIMATE;
+
+export const getDistrict = (outcode) => {
+  const key = (outcode || '').toUpperCase();
+  return OUTCODES.districts[key] ? { outcode: key, ...OUTCODES.districts[key] } : null;
+};
+
+// Grouped by region in the order regions first appear in the data
+export const getDistrictsByRegion = () => DISTRICTS.reduce((groups, district) => {
+  (groups[district.region] = groups[district.region] || []).push(district);
+  return groups;
+}, {});
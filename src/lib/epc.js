@@ -0,0 +1,94 @@
+// --- ENERGY EFFICIENCY ---
+// EPC bands move prices: buyers pay more for homes that are cheaper to heat. Premiums are
+// relative to band D and in line with published UK studies of sold prices by band; they are
+// deliberately modest, since efficiency is only one of many things a price reflects.
+
+export const EPC_BANDS = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+
+const BAND_PREMIUMS = { A: 0.045, B: 0.035, C: 0.02, D: 0, E: -0.01, F: -0.03, G: -0.045 };
+
+// Median band of existing homes: D almost everywhere; London's high share of flats lifts it to C
+const TYPICAL_BAND = { London: 'C' };
+const DEFAULT_TYPICAL_BAND = 'D';
+
+// SAP score range of each band; the band a property sits in is all we know, so assume its midpoint
+const SAP_RANGES = { A: [92, 100], B: [81, 91], C: [69, 80], D: [55, 68], E: [39, 54], F: [21, 38], G: [1, 20] };
+
+export const normaliseBand = (epc) => {
+  const band = String(epc || '').trim().toUpperCase().charAt(0);
+  return EPC_BANDS.includes(band) ? band : null;
+};
+
+export const getTypicalBand = (regionKey) => TYPICAL_BAND[regionKey] || DEFAULT_TYPICAL_BAND;
+
+// Price ratio of a home in one band to the same home in another
+const bandRatio = (to, from) => (1 + BAND_PREMIUMS[to]) / (1 + BAND_PREMIUMS[from]);
+
+// { band, typicalBand, rate } for a property valued from area averages, or null when the EPC is unknown
+export const getEpcAdjustment = (property, regionKey) => {
+  const band = normaliseBand(property.epc);
+  if (!band) return null;
+  const typicalBand = getTypicalBand(regionKey);
+  return { band, typicalBand, rate: Number((bandRatio(band, typicalBand) - 1).toFixed(4)) };
+};
+
+// --- RETROFIT ---
+// Typical measures with installed cost ranges (£) and the SAP points each usually adds.
+// `houses` marks measures that rarely apply to flats (no loft or roof of their own); measures
+// sharing a `group` are alternatives, so a plan uses at most one of them.
+export const RETROFIT_MEASURES = [
+  { key: 'lighting', label: 'LED lighting throughout', cost: [50, 200], points: [1, 2] },
+  { key: 'draughts', label: 'Draught-proofing doors and windows', cost: [200, 500], points: [1, 3] },
+  { key: 'controls', label: 'Smart thermostat and radiator valves', cost: [300, 700], points: [2, 4] },
+  { key: 'loft', label: 'Loft insulation to 270mm', cost: [400, 1000], points: [3, 6], houses: true },
+  { key: 'cavity', label: 'Cavity wall insulation', cost: [1000, 2500], points: [5, 8], group: 'walls' },
+  { key: 'floor', label: 'Suspended floor insulation', cost: [1500, 4000], points: [2, 4], houses: true },
+  { key: 'boiler', label: 'A-rated condensing boiler', cost: [2500, 4000], points: [5, 10], group: 'heating' },
+  { key: 'solar', label: 'Solar PV, about 4kW', cost: [5000, 8000], points: [8, 12], houses: true },
+  { key: 'glazing', label: 'Double glazing', cost: [4000, 10000], points: [3, 5] },
+  { key: 'heatPump', label: 'Air source heat pump, after the £7,500 grant', cost: [3000, 7000], points: [5, 15], houses: true, group: 'heating' },
+  { key: 'solidWall', label: 'Solid wall insulation', cost: [8000, 15000], points: [8, 15], group: 'walls' }
+];
+
+const midpoint = ([low, high]) => (low + high) / 2;
+
+// Cheapest points first, until the target band's lower SAP score is reached
+const planMeasures = (pointsNeeded, isFlat) => {
+  const ranked = RETROFIT_MEASURES
+    .filter((m) => !(isFlat && m.houses))
+    .sort((a, b) => midpoint(a.cost) / midpoint(a.points) - midpoint(b.cost) / midpoint(b.points));
+  const plan = [];
+  let points = 0;
+  for (const measure of ranked) {
+    if (points >= pointsNeeded) break;
+    if (measure.group && plan.some((m) => m.group === measure.group)) continue;
+    plan.push(measure);
+    points += midpoint(measure.points);
+  }
+  return { measures: plan, reachable: points >= pointsNeeded };
+};
+
+// Value gain, likely works and net uplift for moving up to each better band (at most three)
+export const getRetrofitScenarios = (property, value) => {
+  const band = normaliseBand(property.epc);
+  if (!band || !(value > 0)) return [];
+  const currentSap = midpoint(SAP_RANGES[band]);
+  const isFlat = /flat|maisonette|apartment/i.test(property.type || '');
+
+  return EPC_BANDS.slice(0, EPC_BANDS.indexOf(band)).reverse().slice(0, 3).map((target) => {
+    const { measures, reachable } = planMeasures(SAP_RANGES[target][0] - currentSap, isFlat);
+    const costLow = measures.reduce((sum, m) => sum + m.cost[0], 0);
+    const costHigh = measures.reduce((sum, m) => sum + m.cost[1], 0);
+    const uplift = Math.round(value * (bandRatio(target, band) - 1));
+    return {
+      from: band,
+      to: target,
+      uplift,
+      measures,
+      costLow,
+      costHigh,
+      netUplift: Math.round(uplift - (costLow + costHigh) / 2),
+      reachable
+    };
+  });
+};
@@ -0,0 +1,108 @@
+import { OGL_NOTICE, sourcesForNation } from '../data/sources';
+import { formatPounds } from './format';
+import { HPI_APPROXIMATE, HPI_SOURCE, monthKeyToDate } from './hpi';
+import { NATIONS, nationForRegion } from './nations';
+import { toPostcodeSlug } from './router';
+
+// --- VALUATION EXPORT ---
+// The figures behind a result, in one shape for the PDF report and the CSV/JSON downloads.
+
+export const METHOD_LABELS = {
+  hpi: HPI_APPROXIMATE ? "Last sale adjusted by an approximate regional price index" : "Last sale adjusted by the House Price Index",
+  comparables: "Comparable sales in the postcode",
+  sqm: "Regional average price per square metre",
+  none: "Unavailable"
+};
+
+export const DISCLAIMER = "This is an automated estimate produced from public records. It is not a formal valuation, survey or mortgage valuation, and has not been carried out by a RICS Registered Valuer. Do not rely on it for lending, legal, tax or settlement decisions without independent professional advice.";
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+export const buildExportData = ({ property, regionKey, valuation, generatedAt = new Date() }) => ({
+  generatedAt: generatedAt.toISOString(),
+  address: property.address,
+  postcode: property.postcode,
+  propertyType: property.type || null,
+  floorAreaSqm: property.sqMeters || null,
+  epcRating: property.epc || null,
+  region: regionKey,
+  nation: NATIONS[nationForRegion(regionKey)].name,
+  method: valuation.method,
+  methodLabel: METHOD_LABELS[valuation.method],
+  estimatedValue: valuation.estimatedValue || null,
+  lowerBound: valuation.lowerBound || null,
+  upperBound: valuation.upperBound || null,
+  confidence: valuation.confidence ? valuation.confidence.label : null,
+  confidenceExplanation: valuation.confidence ? valuation.confidence.explanation : null,
+  growthFactor: valuation.growthFactor > 0 ? Number(valuation.growthFactor.toFixed(4)) : null,
+  indexMonth: valuation.indexMonth || null,
+  indexSource: HPI_SOURCE,
+  pricePerSqm: valuation.pricePerSqm || null,
+  epcAdjustment: valuation.epcAdjustment ? { ...valuation.epcAdjustment } : null,
+  comparablesUsed: valuation.comparables ? valuation.comparables.length : 0,
+  lastSoldPrice: property.lastSoldPrice > 0 ? property.lastSoldPrice : null,
+  lastSoldDate: property.lastSoldDate || null,
+  recordedValue: valuation.original ? valuation.original.estimatedValue || null : null,
+  adjustments: (valuation.breakdown || []).map(({ label, amount }) => ({ label, amount })),
+  sources: sourcesForNation(nationForRegion(regionKey)).map(({ name, url, attribution }) => ({ name, url, attribution })).concat({ name: "Open Government Licence", url: "https://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/", attribution: OGL_NOTICE }),
+  disclaimer: `Generated on ${isoDate(generatedAt)}. ${DISCLAIMER}`
+});
+
+// Human-readable rows shared by the CSV and the PDF's figures table
+export const exportRows = (data) => {
+  const gbp = (n) => (n ? formatPounds(n) : 'N/A');
+  return [
+    ['Address', data.address],
+    ['Postcode', data.postcode],
+    ['Property type', data.propertyType || 'Unknown'],
+    ['Floor area', data.floorAreaSqm ? `${data.floorAreaSqm} m²` : 'Unknown'],
+    ['EPC rating', data.epcRating || 'Unknown'],
+    ['Region', data.region],
+    ['Nation', data.nation],
+    ['Estimated value', gbp(data.estimatedValue)],
+    ['Range', data.estimatedValue ? `${gbp(data.lowerBound)} - ${gbp(data.upperBound)}` : 'N/A'],
+    ['Confidence', data.confidence || 'N/A'],
+    ['Method', `${data.methodLabel} (${data.method})`],
+    ['Growth factor', data.growthFactor ? `x${data.growthFactor} (${data.growthFactor >= 1 ? '+' : ''}${Math.round((data.growthFactor - 1) * 100)}%)` : 'N/A'],
+    ['Index month', data.indexMonth ? monthKeyToDate(data.indexMonth).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' }) : 'N/A'],
+    ['Index', data.indexSource],
+    ...(data.pricePerSqm ? [['Price per m²', gbp(data.pricePerSqm)], ['Comparable sales used', String(data.comparablesUsed)]] : []),
+    ...(data.epcAdjustment ? [['EPC adjustment', `${data.epcAdjustment.amount ? `${data.epcAdjustment.amount > 0 ? '+' : '-'}${gbp(Math.abs(data.epcAdjustment.amount))}` : 'None'} (band ${data.epcAdjustment.band} vs typical ${data.epcAdjustment.typicalBand})`]] : []),
+    ['Last sold price', gbp(data.lastSoldPrice)],
+    ['Last sold date', data.lastSoldDate ? new Date(data.lastSoldDate).toLocaleDateString('en-GB') : 'Unknown'],
+    ...(data.recordedValue ? [['Value as recorded', gbp(data.recordedValue)]] : []),
+    ...data.adjustments.map((a) => [`Adjustment: ${a.label}`, `${a.amount >= 0 ? '+' : '-'}${gbp(Math.abs(a.amount))}`])
+  ];
+};
+
+export const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (data) => [
+  ['Field', 'Value'],
+  ['Generated', data.generatedAt],
+  ...exportRows(data),
+  ...data.sources.map((s) => [`Source: ${s.name}`, s.attribution]),
+  ['Disclaimer', data.disclaimer]
+].map((row) => row.map(csvCell).join(',')).join('\r\n');
+
+export const toJson = (data) => JSON.stringify(data, null, 2);
+
+// "valuation-SW1A1AA-10-downing-street-2026-10-19.pdf"
+export const exportFilename = (data, extension) => {
+  const street = (data.address || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `valuation-${toPostcodeSlug(data.postcode)}-${street}-${data.generatedAt.slice(0, 10)}.${extension}`;
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,141 @@
+import { formatPounds } from './format';
+import { normalisePropertyType } from './hpi';
+
+// --- FINANCE ---
+// "What does this mean for me?" figures built on an estimate: equity and loan-to-value,
+// purchase tax in each nation, and rental yield. Rates and thresholds change; update the
+// tables and their AS_OF dates together.
+
+// --- EQUITY AND LTV ---
+export const MORTGAGE_RATES_AS_OF = "October 2026";
+
+// Indicative 5-year fixed remortgage rates by maximum LTV. Illustrative only: lenders price on more than LTV.
+export const LTV_TIERS = [
+  { maxLtv: 0.6, rate: 4.0 },
+  { maxLtv: 0.75, rate: 4.2 },
+  { maxLtv: 0.8, rate: 4.4 },
+  { maxLtv: 0.85, rate: 4.6 },
+  { maxLtv: 0.9, rate: 4.9 },
+  { maxLtv: 0.95, rate: 5.4 }
+];
+
+// { equity, ltv, tier, unlocked, next } where `next` is the cheaper tier within reach and the repayment needed to get there
+export const getEquity = (value, mortgage) => {
+  const balance = Math.max(0, mortgage || 0);
+  if (!(value > 0)) return null;
+  const ltv = balance / value;
+  const unlocked = LTV_TIERS.filter((t) => ltv <= t.maxLtv);
+  const tier = unlocked[0] || null;
+  const better = tier ? LTV_TIERS[LTV_TIERS.indexOf(tier) - 1] : LTV_TIERS[LTV_TIERS.length - 1];
+  return {
+    equity: value - balance,
+    ltv,
+    tier,
+    unlocked,
+    next: better && balance > 0 ? { tier: better, repay: Math.ceil(balance - better.maxLtv * value) } : null
+  };
+};
+
+// --- PURCHASE TAX ---
+export const TAX_RULES_AS_OF = "April 2025";
+
+export const BUYER_TYPES = [
+  { value: 'standard', label: 'Moving home' },
+  { value: 'firstTime', label: 'First-time buyer' },
+  { value: 'additional', label: 'Additional property' }
+];
+
+const SURCHARGE_MIN_PRICE = 40000; // Additional-property rates don't apply below this in any nation
+
+// Bands are [upper limit, rate]; the last band has no limit
+export const PURCHASE_TAXES = {
+  england: {
+    nation: "England and Northern Ireland",
+    name: "Stamp Duty Land Tax",
+    bands: [[125000, 0], [250000, 0.02], [925000, 0.05], [1500000, 0.1], [Infinity, 0.12]],
+    // Relief only applies up to £500,000; above that first-time buyers pay standard rates
+    firstTime: { maxPrice: 500000, bands: [[300000, 0], [500000, 0.05]] },
+    additional: { surcharge: 0.05 }
+  },
+  wales: {
+    nation: "Wales",
+    name: "Land Transaction Tax",
+    bands: [[225000, 0], [400000, 0.06], [750000, 0.075], [1500000, 0.1], [Infinity, 0.12]],
+    firstTime: null, // No first-time buyer relief in Wales
+    additional: { bands: [[180000, 0.05], [250000, 0.085], [400000, 0.1], [750000, 0.125], [1500000, 0.15], [Infinity, 0.17]] }
+  },
+  scotland: {
+    nation: "Scotland",
+    name: "Land and Buildings Transaction Tax",
+    bands: [[145000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.1], [Infinity, 0.12]],
+    firstTime: { bands: [[175000, 0], [250000, 0.02], [325000, 0.05], [750000, 0.1], [Infinity, 0.12]] },
+    additional: { flatRate: 0.08 } // Additional Dwelling Supplement, charged on the whole price
+  }
+};
+
+export const taxNationForRegion = (regionKey) => (regionKey === 'Wales' ? 'wales' : regionKey === 'Scotland' ? 'scotland' : 'england');
+
+const sliceBands = (price, bands, surcharge = 0) => {
+  let lower = 0;
+  return bands.map(([upper, rate]) => {
+    const taxable = Math.max(0, Math.min(price, upper) - lower);
+    const slice = { from: lower, to: upper, rate: rate + surcharge, amount: Math.floor(taxable * (rate + surcharge)) };
+    lower = upper;
+    return slice;
+  }).filter((slice) => slice.from < price);
+};
+
+// { name, tax, effectiveRate, bands, note } for a purchase at `price`
+export const calculatePurchaseTax = (price, nationKey, buyerType = 'standard') => {
+  const rules = PURCHASE_TAXES[nationKey] || PURCHASE_TAXES.england;
+  const additional = buyerType === 'additional' && price >= SURCHARGE_MIN_PRICE;
+  let bands = sliceBands(price, rules.bands);
+  let note = null;
+
+  if (buyerType === 'firstTime') {
+    if (!rules.firstTime) note = `There is no first-time buyer relief from ${rules.name}.`;
+    else if (rules.firstTime.maxPrice && price > rules.firstTime.maxPrice) note = `First-time buyer relief only applies up to ${formatPounds(rules.firstTime.maxPrice)}, so standard rates apply.`;
+    else bands = sliceBands(price, rules.firstTime.bands);
+  }
+  if (additional && rules.additional.surcharge) bands = sliceBands(price, rules.bands, rules.additional.surcharge);
+  if (additional && rules.additional.bands) bands = sliceBands(price, rules.additional.bands);
+
+  let tax = bands.reduce((sum, b) => sum + b.amount, 0);
+  if (additional && rules.additional.flatRate) {
+    const supplement = Math.floor(price * rules.additional.flatRate);
+    tax += supplement;
+    note = `Includes the Additional Dwelling Supplement of ${formatPounds(supplement)} (${rules.additional.flatRate * 100}% of the price).`;
+  }
+
+  return { name: rules.name, nation: rules.nation, tax, effectiveRate: price > 0 ? tax / price : 0, bands, note };
+};
+
+// --- RENTAL YIELD ---
+// Typical gross yields (annual rent / value) by region, for a mid-market home
+export const GROSS_YIELDS = {
+  "London": 0.045,
+  "South East": 0.046,
+  "East of England": 0.048,
+  "South West": 0.049,
+  "West Midlands": 0.058,
+  "East Midlands": 0.059,
+  "Yorkshire and The Humber": 0.065,
+  "North West": 0.068,
+  "North East": 0.075,
+  "Wales": 0.062,
+  "Scotland": 0.068,
+  "Northern Ireland": 0.06,
+  "UK Average": 0.055
+};
+
+// Flats let for more relative to their value than houses; detached houses for less
+const TYPE_YIELD_ADJUSTMENT = { flat: 0.005, terraced: 0.002, semi: 0, detached: -0.004, all: 0 };
+
+export const getTypicalYield = (regionKey, type) => (GROSS_YIELDS[regionKey] || GROSS_YIELDS["UK Average"]) + TYPE_YIELD_ADJUSTMENT[normalisePropertyType(type)];
+
+// Expected rent from the typical yield, or the yield implied by the rent the user enters
+export const estimateRent = (value, regionKey, type, monthlyRent = null) => {
+  const typicalYield = getTypicalYield(regionKey, type);
+  const rent = monthlyRent > 0 ? monthlyRent : Math.round((value * typicalYield) / 12 / 25) * 25;
+  return { monthlyRent: rent, grossYield: value > 0 ? (rent * 12) / value : 0, typicalYield };
+};
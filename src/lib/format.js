@@ -0,0 +1,14 @@
+// --- FORMATTING ---
+// How money and changes are written everywhere: on the page, in exports and in the PDF report.
+
+const ROUNDED_GBP = new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP', maximumSignificantDigits: 3 });
+const EXACT_GBP = new Intl.NumberFormat('en-GB', { style: 'currency', currency: 'GBP', maximumFractionDigits: 0 });
+
+// Estimates, to 3 significant figures: "£452,000"
+export const formatPrice = (n) => ROUNDED_GBP.format(n);
+
+// Recorded and calculated amounts, to the pound: sold prices, tax, rent
+export const formatPounds = (n) => EXACT_GBP.format(n);
+
+// "+4.2%" / "-1.0%"
+export const formatChange = (n) => `${n >= 0 ? '+' : ''}${(n * 100).toFixed(1)}%`;
@@ -0,0 +1,15 @@
+// --- SHARED HELPERS ---
+// Small utilities used across modules. Kept in one place so parsing and date rules can't drift.
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Years between a date and now; NaN when the date can't be read
+export const yearsSince = (date) => (Date.now() - new Date(date).getTime()) / YEAR_MS;
+
+// A positive number from user input such as "£250,000" or "85", otherwise 0
+export const toNumber = (value) => {
+  const n = parseFloat(String(value || '').replace(/[£,\s]/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { formatChange, formatPounds, formatPrice } from './format';
+import { toNumber, yearsSince } from './helpers';
+
+describe('toNumber', () => {
+  it('reads typed and pasted amounts', () => {
+    expect(toNumber('85')).toBe(85);
+    expect(toNumber('£250,000')).toBe(250000);
+    expect(toNumber(' 1 200 ')).toBe(1200);
+  });
+
+  it('treats blanks, text and non-positive values as 0', () => {
+    expect(toNumber('')).toBe(0);
+    expect(toNumber(undefined)).toBe(0);
+    expect(toNumber('n/a')).toBe(0);
+    expect(toNumber('-5')).toBe(0);
+  });
+});
+
+describe('yearsSince', () => {
+  it('is NaN for a date that cannot be read', () => {
+    expect(yearsSince('not a date')).toBeNaN();
+  });
+});
+
+describe('formatting', () => {
+  it('rounds estimates to 3 significant figures and other amounts to the pound', () => {
+    expect(formatPrice(452349)).toBe('£452,000');
+    expect(formatPounds(452349.4)).toBe('£452,349');
+  });
+
+  it('signs changes', () => {
+    expect(formatChange(0.042)).toBe('+4.2%');
+    expect(formatChange(-0.01)).toBe('-1.0%');
+  });
+});
@@ -0,0 +1,38 @@
+import { DEFAULT_REGION, getIndex, getLatestMonth, monthKeyToDate, normalisePropertyType } from './hpi';
+
+// --- VALUE HISTORY ---
+// Walks the estimate back along the property's HPI series, so the line ends on today's
+// estimate and (for sold-price valuations) passes through the last sale.
+
+const STEP_MONTHS = 3;
+const DEFAULT_YEARS = 10; // History shown when there's no sale to start from
+
+export const buildValueHistory = ({ property, regionKey, estimatedValue }) => {
+  if (!(estimatedValue > 0)) return [];
+
+  const type = normalisePropertyType(property.type);
+  const end = monthKeyToDate(getLatestMonth(regionKey));
+  const start = property.lastSoldDate
+    ? new Date(property.lastSoldDate)
+    : new Date(end.getFullYear() - DEFAULT_YEARS, end.getMonth(), 1);
+  if (isNaN(start) || start >= end) return [];
+
+  const dates = [start];
+  for (let d = new Date(start.getFullYear(), start.getMonth() + STEP_MONTHS, 1); d < end; d = new Date(d.getFullYear(), d.getMonth() + STEP_MONTHS, 1)) {
+    dates.push(d);
+  }
+  dates.push(end);
+
+  const propertyNow = getIndex(regionKey, type, end);
+  const startValue = estimatedValue * getIndex(regionKey, type, start) / propertyNow;
+  // Comparison lines start from the same value and follow the all-property indices
+  const regionStart = getIndex(regionKey, 'all', start);
+  const ukStart = getIndex(DEFAULT_REGION, 'all', start);
+
+  return dates.map((date) => ({
+    date: date.getTime(),
+    value: Math.round(estimatedValue * getIndex(regionKey, type, date) / propertyNow),
+    region: Math.round(startValue * getIndex(regionKey, 'all', date) / regionStart),
+    uk: Math.round(startValue * getIndex(DEFAULT_REGION, 'all', date) / ukStart)
+  }));
+};
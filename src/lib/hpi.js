@@ -0,0 +1,139 @@
+import HPI from '../data/hpi.json';
+
+// --- UK HOUSE PRICE INDEX ---
+// Series are keyed by "YYYY-MM" (first of the month). Gaps between published
+// months are linearly interpolated, so sparse or full monthly data both work.
+
+export const DEFAULT_REGION = "UK Average";
+export const REGION_KEYS = Object.keys(HPI.regions);
+export const PROPERTY_TYPES = ['all', 'detached', 'semi', 'terraced', 'flat'];
+export const HPI_BASE_MONTH = HPI.base;
+
+// The bundled series are approximate until hpi.json is regenerated from the published full file
+// with `npm run data:hpi`, whose output doesn't carry the flag. Nothing drawn from approximate
+// figures may be credited to the ONS.
+export const HPI_APPROXIMATE = Boolean(HPI.approximate);
+
+// Credit line for charts and figures taken from the index
+export const HPI_SOURCE = HPI_APPROXIMATE
+  ? "Approximate regional price index (development figures, not the official UK House Price Index)"
+  : "UK House Price Index";
+
+// "the London House Price Index", or "an approximate London price index"
+export const indexName = (regionKey) => (HPI_APPROXIMATE ? `an approximate ${regionKey} price index` : `the ${regionKey} House Price Index`);
+
+const monthKeyToOrdinal = (key) => {
+  const [y, m] = key.split('-').map(Number);
+  return y * 12 + (m - 1);
+};
+
+const ordinalToMonthKey = (ordinal) => {
+  const y = Math.floor(ordinal / 12);
+  const m = (ordinal % 12) + 1;
+  return `${y}-${String(m).padStart(2, '0')}`;
+};
+
+// Fractional month ordinal, e.g. 15 June = 5.47 months into the year
+const dateToOrdinal = (date) => {
+  const d = date instanceof Date ? date : new Date(date);
+  if (isNaN(d)) return null;
+  const daysInMonth = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  return d.getFullYear() * 12 + d.getMonth() + (d.getDate() - 1) / daysInMonth;
+};
+
+// Sorted [ordinal, value] pairs, built lazily per region/type
+const seriesCache = {};
+const getSeries = (regionKey, type) => {
+  const cacheKey = `${regionKey}|${type}`;
+  if (!seriesCache[cacheKey]) {
+    const points = HPI.regions[regionKey]?.[type] || {};
+    seriesCache[cacheKey] = Object.entries(points)
+      .map(([month, value]) => [monthKeyToOrdinal(month), value])
+      .sort((a, b) => a[0] - b[0]);
+  }
+  return seriesCache[cacheKey];
+};
+
+export const normaliseRegion = (regionKey) => (HPI.regions[regionKey] ? regionKey : DEFAULT_REGION);
+
+// Land Registry / EPC type strings -> HPI series
+export const normalisePropertyType = (type) => {
+  const t = (type || '').toLowerCase();
+  if (t.includes('semi')) return 'semi';
+  if (t.includes('detached')) return 'detached';
+  if (t.includes('terrace')) return 'terraced';
+  if (t.includes('flat') || t.includes('maisonette') || t.includes('apartment')) return 'flat';
+  return 'all';
+};
+
+// Latest month published for the region's all-property series
+export const getLatestMonth = (regionKey = DEFAULT_REGION) => {
+  const series = getSeries(normaliseRegion(regionKey), 'all');
+  return ordinalToMonthKey(series[series.length - 1][0]);
+};
+
+export const monthKeyToDate = (key) => {
+  const [y, m] = key.split('-').map(Number);
+  return new Date(y, m - 1, 1);
+};
+
+// Index value at any date. Dates outside the series clamp to its first/last month.
+export const getIndex = (regionKey, type, date) => {
+  const region = normaliseRegion(regionKey);
+  let series = getSeries(region, type);
+  if (series.length === 0) series = getSeries(region, 'all');
+
+  const t = date ? dateToOrdinal(date) : null;
+  if (t === null || t >= series[series.length - 1][0]) return series[series.length - 1][1];
+  if (t <= series[0][0]) return series[0][1];
+
+  const hi = series.findIndex(([ordinal]) => ordinal >= t);
+  const [t0, v0] = series[hi - 1];
+  const [t1, v1] = series[hi];
+  return v0 + (v1 - v0) * ((t - t0) / (t1 - t0));
+};
+
+// Growth between a past date and the latest available month
+export const getGrowthFactor = (regionKey, type, fromDate) => {
+  const series = normalisePropertyType(type);
+  return getIndex(regionKey, series, null) / getIndex(regionKey, series, fromDate);
+};
+
+// Maps a postcodes.io result onto an HPI region key
+export const regionKeyFromPostcode = (result) => {
+  if (!result) return DEFAULT_REGION;
+  if (result.country === 'England' && HPI.regions[result.region]) return result.region;
+  if (HPI.regions[result.country]) return result.country;
+  return DEFAULT_REGION;
+};
+
+// Standard deviation of year-on-year index changes over the last `years` years
+export const getVolatility = (regionKey, type = 'all', years = 20) => {
+  const series = normalisePropertyType(type);
+  const end = monthKeyToDate(getLatestMonth(regionKey));
+  const changes = [];
+  for (let i = 0; i < years; i++) {
+    const to = new Date(end.getFullYear() - i, end.getMonth(), 1);
+    const from = new Date(end.getFullYear() - i - 1, end.getMonth(), 1);
+    changes.push(getIndex(regionKey, series, to) / getIndex(regionKey, series, from) - 1);
+  }
+  const mean = changes.reduce((sum, c) => sum + c, 0) / changes.length;
+  return Math.sqrt(changes.reduce((sum, c) => sum + (c - mean) ** 2, 0) / changes.length);
+};
+
+// Headline changes for a region at the latest month, used by landing pages and reports
+export const getRegionStats = (regionKey) => {
+  const region = normaliseRegion(regionKey);
+  const latestMonth = getLatestMonth(region);
+  const end = monthKeyToDate(latestMonth);
+  const change = (type, years) => getIndex(region, type, end) / getIndex(region, type, new Date(end.getFullYear() - years, end.getMonth(), 1)) - 1;
+
+  return {
+    region,
+    latestMonth,
+    change1y: change('all', 1),
+    change5y: change('all', 5),
+    change10y: change('all', 10),
+    byType: Object.fromEntries(PROPERTY_TYPES.filter((t) => t !== 'all').map((t) => [t, change(t, 1)]))
+  };
+};
@@ -0,0 +1,73 @@
+// --- UK NATIONS ---
+// Property records are kept separately in each nation. HM Land Registry's Price Paid Data and
+// the open EPC register cover England and Wales only; Scotland and Northern Ireland have their
+// own registers, which don't publish individual sold prices as open data. The House Price Index
+// covers all four, so growth and area baselines still work everywhere in the UK.
+
+export const NATIONS = {
+  england: { name: "England", soldPrices: true },
+  wales: { name: "Wales", soldPrices: true },
+  scotland: {
+    name: "Scotland",
+    soldPrices: false,
+    registry: "Registers of Scotland",
+    explanation: "Homes in Scotland are registered with Registers of Scotland rather than HM Land Registry, and their individual sold prices aren't available to us as open data."
+  },
+  northernIreland: {
+    name: "Northern Ireland",
+    soldPrices: false,
+    registry: "Land & Property Services",
+    explanation: "Land & Property Services, which registers homes in Northern Ireland, doesn't publish individual sold prices, so we can't start from a home's last sale."
+  }
+};
+
+export const DEFAULT_NATION = 'england';
+
+// postcodes.io gives the country by name and by GSS code; either is enough
+const COUNTRY_NAMES = { "England": 'england', "Wales": 'wales', "Scotland": 'scotland', "Northern Ireland": 'northernIreland' };
+const COUNTRY_CODES = { E92: 'england', W92: 'wales', S92: 'scotland', N92: 'northernIreland' };
+
+// Nation key for a postcodes.io result, or null when it's outside the UK's four nations
+export const nationFromPostcode = (result) => (
+  COUNTRY_NAMES[result?.country] || COUNTRY_CODES[String(result?.codes?.country || '').slice(0, 3)] || null
+);
+
+// Outside England the HPI region is the nation itself
+const REGION_NATIONS = { "Wales": 'wales', "Scotland": 'scotland', "Northern Ireland": 'northernIreland' };
+
+export const nationForRegion = (regionKey) => REGION_NATIONS[regionKey] || DEFAULT_NATION;
+
+// The nation's entry when its sold prices aren't available to us, otherwise null
+export const soldPriceGap = (nation) => (NATIONS[nation] && !NATIONS[nation].soldPrices ? NATIONS[nation] : null);
+
+// --- UNSUPPORTED PLACES ---
+// Crown Dependencies use UK-style postcodes but have their own land registries and no UK HPI
+// series; overseas territories and Irish Eircodes aren't UK postcodes at all. Matched against
+// the postcode without spaces, before it's validated or looked up.
+const UNSUPPORTED_PLACES = [
+  { pattern: /^JE\d/, name: "Jersey", kind: 'crownDependency' },
+  { pattern: /^GY\d/, name: "Guernsey", kind: 'crownDependency' },
+  { pattern: /^IM\d/, name: "the Isle of Man", kind: 'crownDependency' },
+  { pattern: /^(GX11|ASCN|STHL|TDCU|BBND|BIQQ|FIQQ|PCRN|SIQQ|TKCA|MSR\d|VG11|AI2640)/, name: "a British Overseas Territory", kind: 'overseas' },
+  // Cayman Islands codes are KY plus five digits; KY followed by letters is Fife
+  { pattern: /^KY\d{5}$/, name: "the Cayman Islands", kind: 'overseas' },
+  { pattern: /^BFPO/, name: "British Forces Post Office addresses", kind: 'overseas' },
+  // Eircodes start letter-digit; seven-character UK postcodes always start with two letters
+  { pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W)[0-9AC-FHKNPRTV-Y]{4}$/, name: "Ireland", kind: 'overseas' }
+];
+
+// postcodes.io countries that are Crown Dependencies; anything else outside the four nations is overseas
+const CROWN_DEPENDENCY_COUNTRIES = { "Channel Islands": "the Channel Islands", "Isle of Man": "the Isle of Man" };
+const OUTSIDE_UK = { name: "a place outside the UK", kind: 'overseas' };
+
+// { name, kind } for a postcodes.io result that isn't in one of the four nations
+export const placeFromPostcode = (result) => (
+  CROWN_DEPENDENCY_COUNTRIES[result?.country] ? { name: CROWN_DEPENDENCY_COUNTRIES[result.country], kind: 'crownDependency' } : OUTSIDE_UK
+);
+
+// { name, kind } for a postcode we can't value, or null. Names read as "a postcode for <name>".
+export const findUnsupportedPlace = (input) => {
+  const compact = (input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const place = UNSUPPORTED_PLACES.find((p) => p.pattern.test(compact));
+  return place ? { name: place.name, kind: place.kind } : null;
+};
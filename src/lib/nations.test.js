@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { findUnsupportedPlace, placeFromPostcode } from './nations';
+
+describe('findUnsupportedPlace', () => {
+  it('does not mistake Fife postcodes for the Cayman Islands', () => {
+    for (const postcode of ['KY1 1AA', 'KY11 3AB', 'KY16 9AJ']) expect(findUnsupportedPlace(postcode)).toBeNull();
+    expect(findUnsupportedPlace('KY1-1234').name).toBe("the Cayman Islands");
+  });
+
+  it('rejects Crown Dependencies and Eircodes but not UK postcodes', () => {
+    expect(findUnsupportedPlace('JE2 4UH').kind).toBe('crownDependency');
+    expect(findUnsupportedPlace('D02 X285').name).toBe("Ireland");
+    for (const postcode of ['SW1A 1AA', 'EH1 1YZ', 'BT1 5GS', 'CF10 1AA']) expect(findUnsupportedPlace(postcode)).toBeNull();
+  });
+});
+
+describe('placeFromPostcode', () => {
+  it('only reports a Crown Dependency when the country says so', () => {
+    expect(placeFromPostcode({ country: "Isle of Man" })).toEqual({ name: "the Isle of Man", kind: 'crownDependency' });
+    expect(placeFromPostcode({ country: "" }).kind).toBe('overseas');
+    expect(placeFromPostcode({ country: "Somewhere Else" }).kind).toBe('overseas');
+  });
+});
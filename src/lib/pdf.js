@@ -0,0 +1,229 @@
+import { exportRows } from './export';
+import { formatPounds } from './format';
+
+// --- PDF REPORT ---
+// A branded, printable copy of a valuation, drawn client-side. jsPDF is loaded on demand
+// so it only costs a download when someone asks for a report.
+
+const PAGE_WIDTH = 210; // A4, millimetres
+const PAGE_HEIGHT = 297;
+const MARGIN = 18;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const EMERALD = [5, 150, 105];
+const EMERALD_LIGHT = [236, 253, 245];
+const GREY = [107, 114, 128];
+const LIGHT_GREY = [229, 231, 235];
+const TEXT = [17, 24, 39];
+
+// jsPDF's standard fonts only cover WinAnsi (Windows-1252), and one character outside it garbles
+// the whole line. Letters like Welsh ŵ and ŷ drop their accent; anything else becomes "?".
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const isWinAnsi = (ch) => {
+  const code = ch.charCodeAt(0);
+  return ch === '\n' || (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(ch);
+};
+
+export const toWinAnsi = (text) => Array.from(text, (ch) => {
+  if (isWinAnsi(ch)) return ch;
+  const base = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base && Array.from(base).every(isWinAnsi) ? base : '?';
+}).join('');
+
+// Every string in the export data, made safe to draw
+const printable = (value) => {
+  if (typeof value === 'string') return toWinAnsi(value);
+  if (Array.isArray(value)) return value.map(printable);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, printable(v)]));
+  return value;
+};
+
+const gbpShort = (n) => (n >= 1000000 ? `£${(n / 1000000).toFixed(1)}m` : `£${Math.round(n / 1000)}k`);
+
+const drawChart = (doc, history, y, height) => {
+  const left = MARGIN + 16;
+  const width = CONTENT_WIDTH - 16;
+  const values = history.flatMap((d) => [d.value, d.region]);
+  const min = Math.min(...values) * 0.95;
+  const max = Math.max(...values) * 1.05;
+  const first = history[0].date;
+  const last = history[history.length - 1].date;
+  const px = (t) => left + ((t - first) / (last - first)) * width;
+  const py = (v) => y + height - ((v - min) / (max - min)) * height;
+
+  doc.setFontSize(7);
+  doc.setTextColor(...GREY);
+  doc.setDrawColor(...LIGHT_GREY);
+  doc.setLineWidth(0.2);
+  for (let i = 0; i <= 4; i++) {
+    const v = min + ((max - min) * i) / 4;
+    doc.line(left, py(v), left + width, py(v));
+    doc.text(gbpShort(v), left - 2, py(v) + 1, { align: 'right' });
+  }
+  const firstYear = new Date(first).getFullYear();
+  const lastYear = new Date(last).getFullYear();
+  const yearStep = Math.max(1, Math.ceil((lastYear - firstYear) / 8));
+  for (let year = firstYear + 1; year <= lastYear; year += yearStep) {
+    const t = new Date(year, 0, 1).getTime();
+    doc.text(String(year), px(t), y + height + 4, { align: 'center' });
+  }
+
+  const line = (key, colour, width) => {
+    doc.setDrawColor(...colour);
+    doc.setLineWidth(width);
+    for (let i = 1; i < history.length; i++) {
+      doc.line(px(history[i - 1].date), py(history[i - 1][key]), px(history[i].date), py(history[i][key]));
+    }
+  };
+  line('region', [156, 163, 175], 0.4);
+  line('value', EMERALD, 0.8);
+
+  doc.setFillColor(...EMERALD);
+  doc.circle(px(last), py(history[history.length - 1].value), 1.2, 'F');
+
+  // Legend
+  const legendY = y + height + 9;
+  doc.setFillColor(...EMERALD);
+  doc.rect(left, legendY - 2, 4, 1.2, 'F');
+  doc.text('This property', left + 6, legendY);
+  doc.setFillColor(156, 163, 175);
+  doc.rect(left + 30, legendY - 2, 4, 1.2, 'F');
+  doc.text('Regional average, same starting value', left + 36, legendY);
+};
+
+export const buildValuationPdf = async ({ data: exportData, history }) => {
+  const { jsPDF } = await import('jspdf');
+  const data = printable(exportData);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const generated = new Date(data.generatedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+  let y = 0;
+
+  const ensureSpace = (height) => {
+    if (y + height <= PAGE_HEIGHT - MARGIN) return;
+    doc.addPage();
+    y = MARGIN;
+  };
+  const heading = (text) => {
+    ensureSpace(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(...TEXT);
+    doc.text(text, MARGIN, y);
+    y += 6;
+  };
+  const paragraph = (text, size = 9, colour = GREY) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(...colour);
+    const lines = doc.splitTextToSize(text, CONTENT_WIDTH);
+    ensureSpace(lines.length * size * 0.45);
+    doc.text(lines, MARGIN, y);
+    y += lines.length * size * 0.45 + 2;
+  };
+
+  // --- Header band ---
+  doc.setFillColor(...EMERALD);
+  doc.rect(0, 0, PAGE_WIDTH, 28, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('GetMyHouseValue.co.uk', MARGIN, 13);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text('Property Valuation Report', MARGIN, 21);
+  doc.text(`Generated ${generated}`, PAGE_WIDTH - MARGIN, 21, { align: 'right' });
+  y = 42;
+
+  // --- Address and estimate ---
+  doc.setTextColor(...TEXT);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  const addressLines = doc.splitTextToSize(data.address, CONTENT_WIDTH);
+  doc.text(addressLines, MARGIN, y);
+  y += addressLines.length * 7;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.setTextColor(...GREY);
+  doc.text(`${data.postcode} • ${data.region}`, MARGIN, y);
+  y += 8;
+
+  doc.setFillColor(...EMERALD_LIGHT);
+  doc.setDrawColor(...EMERALD);
+  doc.setLineWidth(0.3);
+  doc.roundedRect(MARGIN, y, CONTENT_WIDTH, 30, 3, 3, 'FD');
+  doc.setTextColor(...EMERALD);
+  doc.setFontSize(8);
+  doc.setFont('helvetica', 'bold');
+  doc.text('ESTIMATED MARKET VALUE', MARGIN + 6, y + 8);
+  doc.setTextColor(...TEXT);
+  if (data.estimatedValue) {
+    doc.setFontSize(24);
+    doc.text(formatPounds(data.estimatedValue), MARGIN + 6, y + 19);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(...GREY);
+    doc.text(`Range ${formatPounds(data.lowerBound)} - ${formatPounds(data.upperBound)} • ${data.confidence} confidence`, MARGIN + 6, y + 26);
+  } else {
+    doc.setFontSize(16);
+    doc.text('Valuation unavailable', MARGIN + 6, y + 20);
+  }
+  y += 38;
+  if (data.confidenceExplanation) paragraph(data.confidenceExplanation);
+  y += 4;
+
+  // --- Figures ---
+  heading('Valuation details');
+  doc.setFontSize(9);
+  exportRows(data).slice(2).forEach(([label, value]) => {
+    const valueLines = doc.splitTextToSize(String(value), CONTENT_WIDTH - 60);
+    ensureSpace(valueLines.length * 4 + 3);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(...GREY);
+    doc.text(label, MARGIN, y);
+    doc.setTextColor(...TEXT);
+    doc.text(valueLines, MARGIN + 60, y);
+    y += valueLines.length * 4 + 1;
+    doc.setDrawColor(...LIGHT_GREY);
+    doc.setLineWidth(0.2);
+    doc.line(MARGIN, y, PAGE_WIDTH - MARGIN, y);
+    y += 4;
+  });
+  y += 4;
+
+  // --- Chart ---
+  if (history.length > 1) {
+    ensureSpace(80);
+    heading('Estimated value over time');
+    drawChart(doc, history, y + 2, 55);
+    y += 72;
+    paragraph(`Source: ${data.indexSource}.`, 7);
+  }
+
+  // --- Sources and disclaimer ---
+  heading('Data sources');
+  data.sources.forEach((source) => {
+    ensureSpace(10);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(...TEXT);
+    doc.text(source.name, MARGIN, y);
+    y += 4;
+    paragraph(`${source.attribution} ${source.url}`, 8);
+  });
+  y += 2;
+  heading('Disclaimer');
+  paragraph(data.disclaimer, 8);
+
+  // --- Footer on every page ---
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...GREY);
+    doc.text(`getmyhousevalue.co.uk • Valuation of ${data.address} generated ${generated}`, MARGIN, PAGE_HEIGHT - 8);
+    doc.text(`Page ${i} of ${pages}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: 'right' });
+  }
+
+  return doc.output('blob');
+};
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { toWinAnsi } from './pdf';
+
+describe('toWinAnsi', () => {
+  it('keeps characters the standard PDF fonts can draw', () => {
+    const text = "Flat 2, Château Court – £250,000 • 85 m² “Café”";
+    expect(toWinAnsi(text)).toBe(text);
+  });
+
+  it('drops accents the fonts lack, such as Welsh ŵ and ŷ', () => {
+    expect(toWinAnsi("Tŷ Gŵyn, Ffordd Ŵyn")).toBe("Ty Gwyn, Ffordd Wyn");
+  });
+
+  it('replaces anything else', () => {
+    expect(toWinAnsi("Flat ① ≈ 2")).toBe("Flat ? ? 2");
+  });
+});
@@ -0,0 +1,97 @@
+import { marked } from 'marked';
+import { getIndex, getLatestMonth, monthKeyToDate } from './hpi';
+
+// --- MARKET REPORTS ---
+// Reports are markdown files in src/content/reports/ named <slug>.md, with frontmatter:
+//
+//   ---
+//   title: "Market Report: South East 2025"
+//   date: 2025-12-01
+//   region: South East
+//   summary: One or two sentences for cards, the reports index and meta descriptions.
+//   ---
+//
+// Charts are fenced ```chart blocks drawn from the HPI dataset:
+//
+//   ```chart
+//   title: Regional Growth Comparison
+//   series: South East, London    (HPI region keys)
+//   type: all                     (all | detached | semi | terraced | flat)
+//   from: 2015-01                 (defaults to 10 years before the latest month)
+//   to: latest
+//   rebase: 2015-01               (month set to 100, defaults to `from`)
+//   step: 12                      (months between points)
+//   ```
+
+const files = import.meta.glob('../content/reports/*.md', { query: '?raw', import: 'default', eager: true });
+
+// Flat `key: value` pairs; enough for report frontmatter and chart blocks
+const parseFields = (text) => Object.fromEntries(
+  text.split('\n')
+    .map((line) => line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.replace(/^"(.*)"$/, '$1')])
+);
+
+const parseReport = (path, source) => {
+  const slug = path.split('/').pop().replace(/\.md$/, '');
+  // Reports saved on Windows (CRLF, BOM) parse the same as any other
+  const text = source.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+  const match = text.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) throw new Error(`Report ${slug} is missing its frontmatter`);
+  const meta = parseFields(match[1]);
+  for (const field of ['title', 'date', 'region', 'summary']) {
+    if (!meta[field]) throw new Error(`Report ${slug} is missing "${field}" in its frontmatter`);
+  }
+  return { slug, ...meta, body: match[2] };
+};
+
+// Newest first
+export const REPORTS = Object.entries(files)
+  .map(([path, source]) => parseReport(path, source))
+  .sort((a, b) => b.date.localeCompare(a.date));
+
+export const REPORT_REGIONS = [...new Set(REPORTS.map((r) => r.region))].sort();
+
+export const getReport = (slug) => REPORTS.find((r) => r.slug === slug) || null;
+
+export const getLatestReports = (count) => REPORTS.slice(0, count);
+
+// Markdown split into HTML and chart blocks, in document order
+export const getReportBlocks = (report) => report.body
+  .split(/^```chart\n([\s\S]*?)^```$/m)
+  .map((part, i) => (i % 2 ? { type: 'chart', config: parseChart(part) } : { type: 'html', html: marked.parse(part) }))
+  .filter((block) => block.type === 'chart' || block.html.trim());
+
+const parseChart = (text) => {
+  const fields = parseFields(text);
+  return {
+    title: fields.title || '',
+    series: (fields.series || '').split(',').map((s) => s.trim()).filter(Boolean),
+    type: fields.type || 'all',
+    from: fields.from,
+    to: fields.to && fields.to !== 'latest' ? fields.to : null,
+    rebase: fields.rebase,
+    step: parseInt(fields.step, 10) || 12
+  };
+};
+
+// One row per point, keyed by series name, e.g. { label: '2020', 'South East': 121.4, London: 118.9 }
+export const buildChartData = ({ series, type, from, to, rebase, step }) => {
+  const end = monthKeyToDate(to || getLatestMonth(series[0]));
+  const start = from ? monthKeyToDate(from) : new Date(end.getFullYear() - 10, end.getMonth(), 1);
+  const base = rebase ? monthKeyToDate(rebase) : start;
+
+  const dates = [];
+  for (let d = start; d < end; d = new Date(d.getFullYear(), d.getMonth() + step, 1)) dates.push(d);
+  dates.push(end);
+
+  const label = (d) => (step % 12 === 0 && d.getMonth() === start.getMonth() && d !== end
+    ? String(d.getFullYear())
+    : d.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' }));
+
+  return dates.map((date) => ({
+    label: label(date),
+    ...Object.fromEntries(series.map((region) => [region, Math.round(getIndex(region, type, date) / getIndex(region, type, base) * 1000) / 10]))
+  }));
+};
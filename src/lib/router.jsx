@@ -0,0 +1,208 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { getDistrict } from './districts';
+import { HPI_APPROXIMATE } from './hpi';
+import { getReport } from './reports';
+
+// --- ROUTING ---
+// A small History API router. The route table is the single list of pages the
+// app can render, so page titles and descriptions live alongside the paths.
+// Routes with `changefreq`/`priority` are prerendered and listed in the sitemap.
+
+export const SITE_URL = "https://getmyhousevalue.co.uk";
+const SITE_NAME = "GetMyHouseValue";
+const NAVIGATE_EVENT = 'gmhv:navigate';
+
+export const ROUTES = [
+  {
+    name: 'home',
+    path: '/',
+    title: "Free Instant House Valuation UK | Land Registry Data | GetMyHouseValue",
+    description: "Get an instant, independent UK property valuation using official HM Land Registry sold prices and regional index adjustments. No estate agents, no sign-up required.",
+    changefreq: 'weekly',
+    priority: '1.0'
+  },
+  {
+    name: 'how-it-works',
+    path: '/how-it-works',
+    title: "How it Works",
+    description: "How our index-adjusted valuation model turns HM Land Registry sold prices and the UK House Price Index into an estimate of your home's value.",
+    changefreq: 'monthly',
+    priority: '0.6'
+  },
+  {
+    name: 'data',
+    path: '/data-sources',
+    title: "Data Sources",
+    description: HPI_APPROXIMATE
+      ? "The open government datasets behind every valuation: HM Land Registry Price Paid Data and the EPC Register, with approximate regional index figures."
+      : "The open government datasets behind every valuation: HM Land Registry Price Paid Data, the EPC Register, Registers of Scotland, Land & Property Services NI and the UK House Price Index.",
+    changefreq: 'monthly',
+    priority: '0.5'
+  },
+  {
+    name: 'privacy',
+    path: '/privacy',
+    title: "Privacy Policy",
+    description: "What we collect, what we don't, and how GetMyHouseValue uses cookies and analytics.",
+    changefreq: 'yearly',
+    priority: '0.3'
+  },
+  {
+    name: 'reports',
+    path: '/reports',
+    title: "Market Reports",
+    description: `Regional UK property market reports built on ${HPI_APPROXIMATE ? 'approximate regional price indices' : 'the official House Price Index'} and HM Land Registry sold prices.`,
+    changefreq: 'weekly',
+    priority: '0.7'
+  },
+  {
+    name: 'report',
+    path: '/reports/:slug',
+    title: ({ slug }) => getReport(slug)?.title || "Market Report",
+    description: ({ slug }) => getReport(slug)?.summary || "A GetMyHouseValue property market report.",
+    changefreq: 'monthly',
+    priority: '0.7'
+  },
+  {
+    name: 'agent',
+    path: '/agent',
+    title: "Agent Portal",
+    description: "Bulk property valuations for estate agents: upload a CSV of addresses and download it back with estimates."
+  },
+  {
+    name: 'saved',
+    path: '/my-valuations',
+    title: "My Valuations",
+    description: "Valuations you've saved on this device, with how each estimate has moved since and a side-by-side comparison."
+  },
+  {
+    name: 'district',
+    path: '/house-prices/:outcode',
+    title: ({ outcode }) => `House Prices in ${districtLabel(outcode)}`,
+    description: ({ outcode }) => `Latest house price trends for the ${districtLabel(outcode)} postcode district from ${HPI_APPROXIMATE ? 'an approximate regional price index' : 'the UK House Price Index'}, plus a free instant valuation for any home in ${outcode.toUpperCase()}.`,
+    changefreq: 'monthly',
+    priority: '0.6'
+  },
+  {
+    name: 'valuation',
+    path: '/valuation/:postcode',
+    title: ({ postcode }) => `Property values in ${formatPostcodeParam(postcode)}`,
+    description: ({ postcode }) => `Sold prices and instant valuations for homes in ${formatPostcodeParam(postcode)}, using official Land Registry data.`
+  },
+  {
+    name: 'property',
+    path: '/valuation/:postcode/:propertyId',
+    title: ({ postcode }) => `Property valuation in ${formatPostcodeParam(postcode)}`,
+    description: ({ postcode }) => `Instant valuation for a home in ${formatPostcodeParam(postcode)}, using official Land Registry data.`
+  }
+];
+
+export const NOT_FOUND_ROUTE = {
+  name: 'not-found',
+  title: "Page not found",
+  description: "The page you were looking for doesn't exist."
+};
+
+// "SW1A1AA" -> "SW1A 1AA"
+const formatPostcodeParam = (slug) => {
+  const compact = (slug || '').toUpperCase();
+  return compact.length > 3 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+};
+
+// "sw1a" -> "SW1A (Westminster)"
+const districtLabel = (outcode) => {
+  const district = getDistrict(outcode);
+  return district ? `${district.outcode} (${district.name})` : outcode.toUpperCase();
+};
+
+// "sw1a 1aa" -> "SW1A1AA", the form postcodes take in URLs
+export const toPostcodeSlug = (postcode) => (postcode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+// Malformed escapes like "%E0%A4%A" can't be decoded; such a URL matches nothing
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return null;
+  }
+};
+
+export const matchRoute = (pathname) => {
+  const segments = splitPath(pathname);
+  if (segments.some((segment) => decodeSegment(segment) === null)) return { ...NOT_FOUND_ROUTE, params: {} };
+  for (const route of ROUTES) {
+    const parts = splitPath(route.path);
+    if (parts.length !== segments.length) continue;
+    const params = {};
+    const matched = parts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeSegment(segments[i]);
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matched) return { ...route, params };
+  }
+  return { ...NOT_FOUND_ROUTE, params: {} };
+};
+
+export const buildPath = (name, params = {}) => {
+  const route = ROUTES.find((r) => r.name === name);
+  if (!route) throw new Error(`Unknown route: ${name}`);
+  return route.path.replace(/:(\w+)/g, (_, key) => encodeURIComponent(params[key]));
+};
+
+export const getRouteMeta = (route) => {
+  const resolve = (value) => (typeof value === 'function' ? value(route.params) : value);
+  const name = resolve(route.title);
+  return {
+    name,
+    title: route.name === 'home' ? name : `${name} | ${SITE_NAME}`,
+    description: resolve(route.description)
+  };
+};
+
+export const navigate = (path, { replace = false } = {}) => {
+  if (path === window.location.pathname + window.location.search) return;
+  window.history[replace ? 'replaceState' : 'pushState']({}, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+  window.scrollTo(0, 0);
+};
+
+// Set by the prerenderer, where there is no window to read the path from
+export const ServerPathContext = createContext(null);
+
+export const useRoute = () => {
+  const serverPath = useContext(ServerPathContext);
+  const [pathname, setPathname] = useState(() => serverPath ?? window.location.pathname);
+
+  useEffect(() => {
+    const update = () => setPathname(window.location.pathname);
+    window.addEventListener('popstate', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return { ...matchRoute(pathname), pathname };
+};
+
+// Real <a href> for crawlers and new-tab clicks, client-side navigation otherwise
+export const Link = ({ to, onClick, children, ...props }) => (
+  <a
+    href={to}
+    onClick={(e) => {
+      if (onClick) onClick(e);
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      e.preventDefault();
+      navigate(to);
+    }}
+    {...props}
+  >
+    {children}
+  </a>
+);
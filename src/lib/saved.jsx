@@ -0,0 +1,85 @@
+import { useEffect, useState } from 'react';
+import { calculateValuation } from './valuation';
+
+// --- SAVED VALUATIONS ---
+// Kept in this browser's localStorage only: no account, nothing sent to us. Each entry holds
+// the property, the homeowner's adjustments and the comparables used, so it can be revalued
+// against newer index data and compared with the figure on the day it was saved.
+
+const STORAGE_KEY = 'gmhv:saved-valuations';
+const STORAGE_VERSION = 1;
+const SAVED_EVENT = 'gmhv:saved';
+
+export const MAX_SAVED = 50;
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+export const savedValuationId = (slug, propertyId) => `${slug}:${propertyId}`;
+
+export const getSavedValuations = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && stored.version === STORAGE_VERSION && Array.isArray(stored.items) ? stored.items : [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const writeSaved = (items) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, items }));
+  } catch (e) { /* quota or private mode: the save just doesn't persist */ }
+  window.dispatchEvent(new Event(SAVED_EVENT));
+};
+
+// Only the facts the comparables strategy reads, so they can be reused as candidates later
+const comparableFacts = (comparables) => (comparables || []).map(({ id, address, type, sqMeters, lastSoldPrice, lastSoldDate }) => ({ id, address, type, sqMeters, lastSoldPrice, lastSoldDate }));
+
+const snapshot = (valuation) => ({
+  estimatedValue: valuation.estimatedValue,
+  lowerBound: valuation.lowerBound,
+  upperBound: valuation.upperBound,
+  method: valuation.method,
+  indexMonth: valuation.indexMonth || null,
+  confidence: valuation.confidence ? valuation.confidence.label : null
+});
+
+// Newest first; saving the same property again replaces the old entry
+export const saveValuation = ({ slug, regionKey, property, adjustments, valuation }) => {
+  const id = savedValuationId(slug, property.id);
+  const item = {
+    id,
+    slug,
+    regionKey,
+    property,
+    adjustments: adjustments || null,
+    candidates: comparableFacts(valuation.comparables),
+    savedAt: new Date().toISOString(),
+    saved: snapshot(valuation)
+  };
+  writeSaved([item, ...getSavedValuations().filter((i) => i.id !== id)].slice(0, MAX_SAVED));
+  return item;
+};
+
+export const removeSavedValuation = (id) => writeSaved(getSavedValuations().filter((i) => i.id !== id));
+
+// The saved entry valued again with today's index data
+export const revalue = (item) => calculateValuation(item.property, item.regionKey, item.candidates, item.adjustments);
+
+export const useSavedValuations = () => {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    const load = () => setItems(getSavedValuations());
+    const onStorage = (e) => { if (e.key === STORAGE_KEY) load(); };
+    load();
+    window.addEventListener(SAVED_EVENT, load);
+    window.addEventListener('storage', onStorage); // Saves made in other tabs
+    return () => {
+      window.removeEventListener(SAVED_EVENT, load);
+      window.removeEventListener('storage', onStorage);
+    };
+  }, []);
+
+  return items;
+};
@@ -0,0 +1,143 @@
+import { FAQS, stripMarkup } from '../data/faqs';
+import { DISTRICTS, DISTRICTS_PUBLISHED, getDistrict } from './districts';
+import { formatChange } from './format';
+import { HPI_APPROXIMATE, getRegionStats } from './hpi';
+import { REPORTS, getReport } from './reports';
+import { ROUTES, SITE_URL, buildPath, getRouteMeta, matchRoute } from './router';
+
+// --- SEO ---
+// Everything crawlers see outside the rendered page: JSON-LD, sitemap.xml and llms.txt.
+// All three are derived from the route table so they can't drift from the app.
+
+const ORGANIZATION = {
+  "@type": "Organization",
+  name: "GetMyHouseValue",
+  url: SITE_URL,
+  logo: `${SITE_URL}/favicon.svg`
+};
+
+// Static routes, every report and, once published, one landing page per postcode district, in sitemap order
+export const getPrerenderPaths = () => [
+  ...ROUTES.filter((r) => r.changefreq && !r.path.includes(':')).map((r) => r.path),
+  ...REPORTS.map((r) => buildPath('report', { slug: r.slug })),
+  ...(DISTRICTS_PUBLISHED ? DISTRICTS.map((d) => buildPath('district', { outcode: d.outcode })) : [])
+];
+
+export const getStructuredData = (route) => {
+  const { name, description } = getRouteMeta(route);
+  const url = SITE_URL + route.pathname;
+
+  if (route.name === 'home') {
+    return [
+      { "@context": "https://schema.org", "@type": "WebSite", name: "GetMyHouseValue", url: SITE_URL, publisher: ORGANIZATION },
+      {
+        "@context": "https://schema.org",
+        "@type": "FAQPage",
+        mainEntity: FAQS.map((faq) => ({
+          "@type": "Question",
+          name: faq.question,
+          acceptedAnswer: { "@type": "Answer", text: stripMarkup(faq.answer) }
+        }))
+      }
+    ];
+  }
+
+  if (route.name === 'district') {
+    const district = getDistrict(route.params.outcode);
+    if (!district || !DISTRICTS_PUBLISHED) return [];
+    const stats = getRegionStats(district.region);
+    return [{
+      "@context": "https://schema.org",
+      "@type": "RealEstateListing",
+      name,
+      description: `${description} ${district.region} prices changed ${formatChange(stats.change1y)} over the last year.`,
+      url,
+      datePosted: `${stats.latestMonth}-01`,
+      provider: ORGANIZATION,
+      contentLocation: {
+        "@type": "Place",
+        name: `${district.outcode}, ${district.name}`,
+        address: { "@type": "PostalAddress", postalCode: district.outcode, addressLocality: district.name, addressRegion: district.region, addressCountry: "GB" }
+      }
+    }];
+  }
+
+  if (route.name === 'report') {
+    const report = getReport(route.params.slug);
+    if (!report) return [];
+    return [{ "@context": "https://schema.org", "@type": "Article", headline: name, description, url, datePublished: report.date, about: report.region, author: ORGANIZATION, publisher: ORGANIZATION }];
+  }
+
+  return [{ "@context": "https://schema.org", "@type": "WebPage", name, description, url, publisher: ORGANIZATION }];
+};
+
+const escapeXml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const buildSitemap = (paths, lastmod) => {
+  const urls = paths.map((path) => {
+    const route = matchRoute(path);
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(SITE_URL + path)}</loc>`,
+      `    <lastmod>${lastmod}</lastmod>`,
+      `    <changefreq>${route.changefreq}</changefreq>`,
+      `    <priority>${route.priority}</priority>`,
+      '  </url>'
+    ].join('\n');
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join('\n')}\n</urlset>\n`;
+};
+
+export const buildLlmsTxt = (paths) => {
+  const pages = paths.map((path) => ({ path, route: { ...matchRoute(path), pathname: path } }));
+  const districtPages = pages.filter((p) => p.route.name === 'district');
+  const line = ({ path, route }) => {
+    const { name, description } = getRouteMeta(route);
+    return `- ${name}: ${SITE_URL}${path}\n  ${description}`;
+  };
+
+  return `GetMyHouseValue UK
+
+This is a free tool for estimating UK residential property values based on historical sold data.
+
+How it Works
+
+Users provide a UK postcode.
+
+The tool detects which UK nation the postcode is in.
+
+In England and Wales it retrieves historical "Price Paid" data from the HM Land Registry.
+
+It adjusts the last sold price using a monthly house price index for that specific region (e.g., London, North West, Wales). ${HPI_APPROXIMATE ? 'The index figures currently bundled are approximate development values, not the published ONS UK House Price Index, and should not be cited as official statistics.' : 'The index is the UK House Price Index published by HM Land Registry and the Office for National Statistics (ONS).'}
+
+Individual sold prices and floor areas are not open data in Scotland or Northern Ireland, so postcodes there get regional index figures only, not a valuation. Postcodes in the Crown Dependencies (Jersey, Guernsey, Isle of Man) and outside the UK are not supported.
+
+It returns an estimated current market value range.
+
+Data Sources
+
+HM Land Registry (Price Paid Data, England and Wales)
+
+Open Data Communities (EPC Data for square footage, England and Wales)
+
+${HPI_APPROXIMATE ? 'Approximate regional price index (development figures, to be replaced by the UK House Price Index)' : `Registers of Scotland (House Price Index figures for Scotland)
+
+Land & Property Services NI (House Price Index figures for Northern Ireland)
+
+ONS (House Price Index)`}
+
+Pages
+
+${pages.filter((p) => p.route.name !== 'district').map(line).join('\n')}
+${districtPages.length > 0 ? `
+House Prices by Postcode District
+
+${districtPages.map(line).join('\n')}
+` : ''}
+Usage
+
+The tool is a single-page web application available at ${SITE_URL}.
+Valuations can be linked directly as ${SITE_URL}/valuation/<postcode>, e.g. ${SITE_URL}/valuation/SW1A1AA.
+It does not require user registration or email addresses.
+`;
+};
@@ -0,0 +1,178 @@
+import { applyCorrections, hasAdjustments, improvementItems } from './adjustments';
+import { assessConfidence } from './confidence';
+import { getEpcAdjustment } from './epc';
+import { yearsSince } from './helpers';
+import { DEFAULT_REGION, getGrowthFactor, getLatestMonth, normalisePropertyType } from './hpi';
+
+// Estimated Price Per Square Meter (2024 Baselines)
+// Wales, Scotland and Northern Ireland get their own: the UK average is pulled up by southern England
+export const SQ_METER_PRICES = {
+  "London": 7500,
+  "South East": 4500,
+  "Wales": 2300,
+  "Scotland": 2350,
+  "Northern Ireland": 1900,
+  "UK Average": 3000
+};
+
+// --- COMPARABLES ---
+export const MIN_COMPARABLES = 3;
+const MAX_COMPARABLES = 10;
+const SIZE_TOLERANCE = 0.3;  // Comparables must be within ±30% of the subject's floor area
+const STALE_SALE_YEARS = 10; // Older sales lose to a good set of comparables
+
+const weightedMedian = (items) => {
+  const sorted = [...items].sort((a, b) => a.value - b.value);
+  const total = sorted.reduce((sum, item) => sum + item.weight, 0);
+  let running = 0;
+  for (const item of sorted) {
+    running += item.weight;
+    if (running >= total / 2) return item.value;
+  }
+  return 0;
+};
+
+// Other sold homes in the postcode of the same type and similar size, each indexed to today
+export const findComparables = (property, candidates, regionKey) => {
+  if (!(property.sqMeters > 0)) return [];
+  const subjectType = normalisePropertyType(property.type);
+
+  return (candidates || [])
+    .filter((p) => p.id !== property.id && p.lastSoldPrice > 0 && p.sqMeters > 0 && p.lastSoldDate)
+    .filter((p) => subjectType === 'all' || normalisePropertyType(p.type) === subjectType)
+    .map((p) => {
+      const sizeRatio = p.sqMeters / property.sqMeters;
+      const sizeDiff = Math.abs(sizeRatio - 1);
+      if (sizeDiff > SIZE_TOLERANCE) return null;
+
+      const indexedPrice = Math.round(p.lastSoldPrice * getGrowthFactor(regionKey, p.type, p.lastSoldDate));
+      // Closer in size and more recent sales count for more
+      const weight = (1 - sizeDiff / SIZE_TOLERANCE / 2) / (1 + yearsSince(p.lastSoldDate) / 5);
+      return {
+        id: p.id,
+        address: p.address,
+        type: p.type,
+        sqMeters: p.sqMeters,
+        lastSoldPrice: p.lastSoldPrice,
+        lastSoldDate: p.lastSoldDate,
+        indexedPrice,
+        pricePerSqm: indexedPrice / p.sqMeters,
+        weight
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_COMPARABLES);
+};
+
+// Comparables win over the home's own sale only when that sale is stale and the comparables are fresher
+const preferComparables = (property, comparables) => {
+  if (comparables.length < MIN_COMPARABLES) return false;
+  if (!(property.lastSoldPrice > 0) || !property.lastSoldDate) return true;
+
+  const saleAge = yearsSince(property.lastSoldDate);
+  const comparableAges = comparables.map((c) => ({ value: yearsSince(c.lastSoldDate), weight: 1 }));
+  return saleAge > STALE_SALE_YEARS && weightedMedian(comparableAges) < saleAge;
+};
+
+// --- VALUATION ---
+// Range and confidence label come from the evidence behind each strategy's estimate
+const withConfidence = (result, property, regionKey, comparables) => {
+  const { spread, label, explanation } = assessConfidence({ property, regionKey, method: result.method, comparables });
+  return {
+    ...result,
+    lowerBound: Math.round(result.estimatedValue * (1 - spread)),
+    upperBound: Math.round(result.estimatedValue * (1 + spread)),
+    confidence: { label, explanation }
+  };
+};
+
+// Area averages describe a typical home, so adjust them for this home's EPC band. A home's own
+// sale isn't adjusted: its price already reflected how efficient it was.
+const withEpc = (baseValue, property, regionKey) => {
+  const epc = getEpcAdjustment(property, regionKey);
+  const estimatedValue = Math.round(baseValue * (1 + (epc ? epc.rate : 0)));
+  return { estimatedValue, epcAdjustment: epc && { ...epc, amount: estimatedValue - Math.round(baseValue) } };
+};
+
+const valueProperty = (property, regionKey, candidates) => {
+  const comparables = findComparables(property, candidates, regionKey);
+
+  // STRATEGY 1: HPI GROWTH (If we have a sold price that isn't outweighed by comparables)
+  if (property.lastSoldPrice > 0 && !preferComparables(property, comparables)) {
+      const soldDate = property.lastSoldDate || '2015-01-01';
+      const growthFactor = getGrowthFactor(regionKey, property.type, soldDate);
+      const estimatedValue = Math.round(property.lastSoldPrice * growthFactor);
+
+      return withConfidence({
+        estimatedValue,
+        growthFactor,
+        indexMonth: getLatestMonth(regionKey),
+        method: 'hpi'
+      }, property, regionKey, comparables);
+  }
+
+  // STRATEGY 2: COMPARABLE SALES (Weighted median £/m² of similar homes nearby)
+  if (comparables.length >= MIN_COMPARABLES) {
+      const pricePerSqm = weightedMedian(comparables.map((c) => ({ value: c.pricePerSqm, weight: c.weight })));
+      const { estimatedValue, epcAdjustment } = withEpc(property.sqMeters * pricePerSqm, property, regionKey);
+      const growthFactor = property.lastSoldPrice > 0 && property.lastSoldDate ? estimatedValue / property.lastSoldPrice : 0;
+
+      return withConfidence({
+        estimatedValue,
+        epcAdjustment,
+        growthFactor,
+        pricePerSqm: Math.round(pricePerSqm),
+        comparables,
+        indexMonth: getLatestMonth(regionKey),
+        method: 'comparables'
+      }, property, regionKey, comparables);
+  }
+
+  // STRATEGY 3: SIZE BASED (If we only have EPC size)
+  if (property.sqMeters > 0) {
+      const pricePerSqm = SQ_METER_PRICES[regionKey] || SQ_METER_PRICES[DEFAULT_REGION];
+      const { estimatedValue, epcAdjustment } = withEpc(property.sqMeters * pricePerSqm, property, regionKey);
+
+      return withConfidence({
+        estimatedValue,
+        epcAdjustment,
+        growthFactor: 0,
+        method: 'sqm'
+      }, property, regionKey, comparables);
+  }
+
+  // STRATEGY 4: FAILURE
+  return { estimatedValue: 0, lowerBound: 0, upperBound: 0, growthFactor: 0, confidence: null, method: 'none' };
+};
+
+// Values the property as recorded and, when the homeowner has adjusted it, as described.
+// The adjusted result keeps the recorded valuation in `original` and itemises the difference in `breakdown`.
+export const calculateValuation = (property, regionKey, candidates = [], adjustments = null) => {
+  const original = valueProperty(property, regionKey, candidates);
+  if (!hasAdjustments(property, adjustments)) return original;
+
+  const corrected = applyCorrections(property, adjustments);
+  const base = valueProperty(corrected, regionKey, candidates);
+  if (base.estimatedValue === 0) return { ...base, original, breakdown: [] };
+
+  const breakdown = [];
+  if (base.estimatedValue !== original.estimatedValue) {
+    breakdown.push({ key: 'details', label: 'Corrected property details', amount: base.estimatedValue - original.estimatedValue });
+  }
+
+  const pricePerSqm = base.pricePerSqm
+    || (corrected.sqMeters > 0 ? base.estimatedValue / corrected.sqMeters : SQ_METER_PRICES[regionKey] || SQ_METER_PRICES[DEFAULT_REGION]);
+  const items = improvementItems(adjustments, base.estimatedValue, pricePerSqm);
+  const estimatedValue = base.estimatedValue + items.reduce((sum, item) => sum + item.amount, 0);
+  const scale = estimatedValue / base.estimatedValue;
+
+  return {
+    ...base,
+    estimatedValue,
+    lowerBound: Math.round(base.lowerBound * scale),
+    upperBound: Math.round(base.upperBound * scale),
+    original,
+    breakdown: [...breakdown, ...items]
+  };
+};
@@ -1,10 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { initConsent } from './lib/consent'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
+initConsent()
+
+const root = document.getElementById('root')
+const app = (
   <React.StrictMode>
     <App />
-  </React.StrictMode>,
+  </React.StrictMode>
 )
+
+// Prerendered pages ship their HTML; hydrate it only if it was rendered for this path.
+// The 404 page and the app shell are served for other paths, so they're rendered over.
+const pathname = window.location.pathname.replace(/(.)\/+$/, '$1')
+if (root.dataset.prerenderedPath === pathname) {
+  ReactDOM.hydrateRoot(root, app)
+} else {
+  ReactDOM.createRoot(root).render(app)
+}